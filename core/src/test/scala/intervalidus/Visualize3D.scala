@@ -4,82 +4,363 @@ import java.awt.Desktop
 import java.net.{InetSocketAddress, URI, URLEncoder}
 import java.nio.file.{Files, Path, Paths}
 import com.sun.net.httpserver.{HttpExchange, HttpHandler, HttpServer}
-import intervalidus.Domain1D.{Bottom, Top}
+import intervalidus.Domain1D.{Bottom, Point, Top}
 
+import java.io.IOException
 import java.nio.charset.StandardCharsets
-import scala.annotation.nowarn
+import java.time.{Instant, LocalDate, LocalDateTime}
+import java.util.concurrent.{CopyOnWriteArrayList, Executors, LinkedBlockingQueue, ThreadFactory, TimeUnit}
+import java.util.concurrent.atomic.AtomicInteger
+import scala.compiletime.asMatchable
 import scala.util.{Failure, Success, Try}
 import scala.util.control.NonFatal
 
+/**
+  * Shows data in a web viewer, where three dimensions are displayed as X, Y, and Z axes. Data with more than three
+  * dimensions can also be shown: by default, the last three dimensions are displayed, and the leading ones (like the
+  * version of versioned data) can be filtered and played back in the viewer. Data with fewer dimensions is shown flat:
+  * 2D data as a map of rectangles, and 1D data as a timeline with a lane for each value (in place of Visualize2D). For
+  * example, to look at versioned 3D data:
+  * {{{
+  * Visualize3D(fixture.getVersionedData, title = "before Zoinks", dimensionNames = Seq("version", "x", "y", "z"))
+  * }}}
+  */
 object Visualize3D:
 
-  import Interval.Patterns.*
-
-  // compatibility with old fixed Interval3D by using pattern match extractors
-  extension [R1: DomainValueLike, R2: DomainValueLike, R3: DomainValueLike](interval: Interval.In3D[R1, R2, R3])
-    def horizontal: Interval1D[R1] = interval match
-      case horizontal x_: _ x_: _ => horizontal
-    def vertical: Interval1D[R2] = interval match
-      case _ x_: vertical x_: _ => vertical
-    def depth: Interval1D[R3] = interval match
-      case _ x_: _ x_: depth => depth
-
   private val webRootDirPath = Paths.get("core", "vis3d")
   private val port = 8080
 
-  def apply[V, R1: DomainValueLike, R2: DomainValueLike, R3: DomainValueLike](
-    validData: Iterable[ValidData.In3D[V, R1, R2, R3]],
-    title: String
+  // Identifies the versioned JSON document read by the viewer (see parseDataDocument in document.js)
+  private val documentFormat = "intervalidus-vis3d"
+  private val documentVersion = 2
+
+  // Documents are written here and served under /data/ so large data sets don't have to fit in a URL. Both the
+  // directory and the documents in it are deleted on exit (in reverse order, so the directory is empty by then).
+  private lazy val dataDir: Path =
+    val dir = Files.createTempDirectory("intervalidus-vis3d")
+    dir.toFile.deleteOnExit()
+    dir
+  private val documentCount = AtomicInteger(0)
+
+  // Only one server per process, shared by every call to apply and live. Only set once started, so a failed start
+  // (e.g., when the port is busy) is tried again on the next call.
+  private var runningServer: Option[HttpServer] = None
+  private val liveCount = AtomicInteger(0)
+
+  private def server: Try[HttpServer] = synchronized:
+    runningServer match
+      case Some(httpServer) => Success(httpServer)
+      case None =>
+        val started = runServer(webRootDirPath.toAbsolutePath)
+        runningServer = started.toOption
+        started
+
+  def apply[V, D <: NonEmptyTuple: DomainLike](validData: Iterable[ValidData[V, D]], title: String): Unit =
+    apply(validData, title, Seq.empty)
+
+  /**
+    * Shows data with named dimensions.
+    *
+    * @param validData
+    *   the data, with at least one dimension
+    * @param title
+    *   viewer title
+    * @param dimensionNames
+    *   the name of each dimension, or empty for the default names (x, y, and z for the last three dimensions, or as
+    *   many of them as there are)
+    */
+  def apply[V, D <: NonEmptyTuple: DomainLike](
+    validData: Iterable[ValidData[V, D]],
+    title: String,
+    dimensionNames: Seq[String]
+  ): Unit =
+    if validData.isEmpty then println(s"Error: No data to plot")
+    else showDocument(documentJson(validData, title, dimensionNames))
+
+  def apply[V, D <: NonEmptyTuple: DomainLike](
+    data: DimensionalBase[V, D],
+    delay: Long = 0,
+    title: String = "Visualize 3D data",
+    dimensionNames: Seq[String] = Seq.empty
   ): Unit =
+    apply(data.getAll, title, dimensionNames)
+    Thread.sleep(delay)
+
+  /**
+    * Shows the differences between two snapshots of the same data, in overlay or side-by-side views. Like the diff
+    * actions of `after.diffActionsFrom(before)`, boxes are matched by the start of their intervals: boxes only in the
+    * "after" data are created (green), boxes only in the "before" data are deleted (red), and matching boxes with a
+    * different value or end are updated (amber). For example, to see what an unapproved change does:
+    * {{{
+    * val before = fixture.getVersionedData.toImmutable // a snapshot, since the fixture is mutable
+    * fixture.set(zoinks)(using VersionSelection.Unapproved)
+    * Visualize3D.diff(before, fixture.getVersionedData, dimensionNames = Seq("version", "x", "y", "z"))
+    * }}}
+    *
+    * @param before
+    *   the data before the change, with at least one dimension
+    * @param after
+    *   the data after the change
+    * @param delay
+    *   milliseconds to wait afterward
+    * @param title
+    *   viewer title
+    * @param dimensionNames
+    *   the name of each dimension, or empty for the default names (x, y, and z for the last three dimensions, or as
+    *   many of them as there are)
+    */
+  def diff[V, D <: NonEmptyTuple: DomainLike](
+    before: DimensionalBase[V, D],
+    after: DimensionalBase[V, D],
+    delay: Long = 0,
+    title: String = "Visualize 3D differences",
+    dimensionNames: Seq[String] = Seq.empty
+  ): Unit =
+    if before.isEmpty && after.isEmpty then println(s"Error: No data to plot")
+    else showDocument(documentJson(after.getAll, title, dimensionNames, before.getAll))
+    Thread.sleep(delay)
+
+  private def showDocument(json: => String): Unit =
     val rootDir = webRootDirPath.toAbsolutePath
     if !Files.isDirectory(rootDir) then println(s"Error: Web root directory not found at $rootDir")
-    else if validData.isEmpty then println(s"Error: No data to plot")
     else
-      def coordinateStrings[R: DomainValueLike](
-        axis: String,
-        to1D: Interval.In3D[R1, R2, R3] => Interval1D[R]
-      ): String =
-        val domains = Interval1D.uniqueIntervals(validData.map(v => to1D(v.interval))).flatMap(i => Seq(i.start, i.end))
-        (Top :: Bottom :: domains.map(_.closeIfOpen).toList).distinct.sorted
-          .map(d => s"\"${d.toString}\"")
-          .mkString(s"\"$axis\":[", ",", "]")
-
-      val axesParameters = URLEncoder.encode(
-        Seq(coordinateStrings("x", _.horizontal), coordinateStrings("y", _.vertical), coordinateStrings("z", _.depth))
-          .mkString("{", ",", "}"),
-        StandardCharsets.UTF_8
-      )
-
-      def domainToJson[D <: NonEmptyTuple: DomainLike](d: D): String =
-        (d: @nowarn("msg=match may not be exhaustive")) match
-          case x *: y *: z *: EmptyTuple => s"""["$x","$y","$z"]"""
-
-      val dataParameters = validData.map: d =>
-        val (text1Param, text2Param) = (d.value.toString, d.interval.toString)
-        val startJson = domainToJson(d.interval.start)
-        val endJson = domainToJson(d.interval.end)
-        val param = s"""{"min":$startJson,"max":$endJson,"text1":"$text1Param","text2":"$text2Param"}"""
-        URLEncoder.encode(param, StandardCharsets.UTF_8)
-
-      val titleParameter = URLEncoder.encode(title, StandardCharsets.UTF_8)
-      val result = runServer(rootDir).flatMap: _ =>
-        openInBrowser(
-          s"http://localhost:$port" +
-            s"?title=$titleParameter" +
-            s"&axes=$axesParameters" +
-            s"&${dataParameters.mkString("data=[", ",", "]")}"
-        )
+      val result = for
+        _ <- server
+        src <- writeDocument(json)
+        _ <- openInBrowser(s"http://localhost:$port?src=${URLEncoder.encode(src, StandardCharsets.UTF_8)}")
+      yield ()
       result match
         case Failure(e) => e.printStackTrace()
         case Success(_) => ()
 
-  def apply[V, R1: DomainValueLike, R2: DomainValueLike, R3: DomainValueLike](
-    dataIn3D: DimensionalBase[V, Domain.In3D[R1, R2, R3]],
-    delay: Long = 0,
-    title: String = "Visualize 3D data"
-  ): Unit =
-    apply(dataIn3D.getAll, title)
-    Thread.sleep(delay)
+  /**
+    * Opens a viewer that follows changes to the data as they happen. After each change (e.g., a `set`, `remove`, or
+    * `approve`), call `update` on the result to send the differences to the viewer as create/update/delete events. For
+    * example, to follow a versioned structure over two-dimensional data:
+    * {{{
+    * val live = Visualize3D.live(fixture.getVersionedData)
+    * fixture.set(zoinks)(using VersionSelection.Unapproved)
+    * live.update(fixture.getVersionedData)
+    * }}}
+    *
+    * @param data
+    *   the initial data, with at least one dimension
+    * @param title
+    *   viewer title
+    * @param dimensionNames
+    *   the name of each dimension, or empty for the default names (x, y, and z for the last three dimensions, or as
+    *   many of them as there are)
+    * @return
+    *   a live view to which updated data are given
+    */
+  def live[V, D <: NonEmptyTuple: DomainLike](
+    data: DimensionalBase[V, D],
+    title: String = "Visualize 3D data (live)",
+    dimensionNames: Seq[String] = Seq.empty
+  ): Live[V, D] =
+    val eventsPath = s"/events/live-${liveCount.incrementAndGet()}"
+    val events = new EventStreamHandler(documentJson(data.getAll, title, dimensionNames))
+    val result = for
+      httpServer <- server
+      _ <- Try(httpServer.createContext(eventsPath, events))
+      _ <- openInBrowser(s"http://localhost:$port?live=${URLEncoder.encode(eventsPath, StandardCharsets.UTF_8)}")
+    yield ()
+    result match
+      case Failure(e) => e.printStackTrace()
+      case Success(_) => ()
+    new Live(data.toImmutable, title, dimensionNames, events)
+
+  /**
+    * A viewer following changes to data. See [[Visualize3D.live]].
+    */
+  class Live[V, D <: NonEmptyTuple: DomainLike] private[Visualize3D] (
+    initial: DimensionalBase[V, D],
+    title: String,
+    dimensionNames: Seq[String],
+    events: EventStreamHandler
+  ):
+    private var previous: DimensionalBase[V, D] = initial
+
+    /**
+      * Sends the differences between the data last seen and the current data to the viewer (if there are any).
+      *
+      * @param current
+      *   the current data, which may be the same mutable structure given previously
+      * @param delay
+      *   milliseconds to wait afterward, giving time to see the change
+      */
+    def update(current: DimensionalBase[V, D], delay: Long = 0): Unit =
+      synchronized:
+        val diffActions = current.diffActionsFrom(previous)
+        previous = current.toImmutable // a snapshot, in case current is mutable
+        if diffActions.nonEmpty then
+          val all = current.getAll
+          events.publish("diff", diffJson(all, diffActions, dimensionNames), documentJson(all, title, dimensionNames))
+      Thread.sleep(delay)
+
+  /**
+    * The viewer document: the distinct boundaries of each dimension (in order) and the boxes defined in terms of them.
+    * When comparing, the boxes of the earlier data are given as "before", sharing the same dimensions.
+    */
+  private[intervalidus] def documentJson[V, D <: NonEmptyTuple: DomainLike](
+    validData: Iterable[ValidData[V, D]],
+    title: String,
+    dimensionNames: Seq[String],
+    beforeData: Iterable[ValidData[V, D]] = Iterable.empty
+  ): String =
+    val beforeJson =
+      if beforeData.isEmpty then "" else s""","before":${beforeData.map(boxJson).mkString("[", ",", "]")}"""
+    s"""{"format":"$documentFormat","version":$documentVersion,"title":${jsonString(title)},""" +
+      s"""${dimensionsJson(validData ++ beforeData, dimensionNames)},""" +
+      s""""data":${validData.map(boxJson).mkString("[", ",", "]")}$beforeJson}"""
+
+  /**
+    * The viewer diff event: the (possibly changed) dimensions along with the diff actions, where boxes are keyed by
+    * their minimum bounds, i.e., the start of their intervals.
+    */
+  private def diffJson[V, D <: NonEmptyTuple: DomainLike](
+    validData: Iterable[ValidData[V, D]],
+    diffActions: Iterable[DiffAction[V, D]],
+    dimensionNames: Seq[String]
+  ): String =
+    val actionsJson = diffActions.map:
+      case DiffAction.Create(d: ValidData[V, D]) => s"""{"action":"create","box":${boxJson(d)}}"""
+      case DiffAction.Update(d: ValidData[V, D]) => s"""{"action":"update","box":${boxJson(d)}}"""
+      case DiffAction.Delete(key) =>
+        s"""{"action":"delete","key":${domainToJson(key)}${openJson("keyOpen", key)}}"""
+    s"""{${dimensionsJson(validData, dimensionNames)},"actions":${actionsJson.mkString("[", ",", "]")}}"""
+
+  /**
+    * The "dimensions" field: the name of each dimension, the type of its values (see dimensionType), its distinct
+    * (closed) boundaries, in order, which of them are successors (see successorsJson), and their ordered hash values
+    * (null when unbounded), which the viewer uses for metric spacing.
+    */
+  private def dimensionsJson[V, D <: NonEmptyTuple](
+    validData: Iterable[ValidData[V, D]],
+    dimensionNames: Seq[String]
+  )(using domainLike: DomainLike[D]): String =
+    val arity = domainLike.arity
+    require(
+      dimensionNames.isEmpty || dimensionNames.size == arity,
+      s"there are $arity dimensions, but ${dimensionNames.size} dimension names"
+    )
+    val names =
+      if dimensionNames.nonEmpty then dimensionNames
+      else (1 to arity - 3).map(i => s"dimension $i") ++ Seq("x", "y", "z").take(arity)
+    val intervals = validData.map(_.interval)
+    val dimensions = names.zipWithIndex.map: (name, dimension) =>
+      val boundaries = dimensionBoundaries(intervals, dimension)
+      val labelsJson = boundaries.map(d => jsonString(d.toString)).mkString("[", ",", "]")
+      val valuesJson = boundaries
+        .map: d =>
+          val value = d.orderedHashUnfixed // NaN when unbounded
+          if value.isNaN || value.isInfinite then "null" else value.toString
+        .mkString("[", ",", "]")
+      val typeJson = jsonString(dimensionType(boundaries))
+      s"""{"name":${jsonString(name)},"type":$typeJson,"boundaries":$labelsJson""" +
+        s"""${successorsJson[D](boundaries, dimension)},"values":$valuesJson}"""
+    dimensions.mkString(""""dimensions":[""", ",", "]")
+
+  /**
+    * The distinct (closed) boundaries of one dimension, in order. These are the bounds of the unique intervals in that
+    * dimension alone, found by making the intervals unbounded in every other dimension.
+    */
+  private def dimensionBoundaries[D <: NonEmptyTuple: DomainLike](
+    intervals: Iterable[Interval[D]],
+    dimension: Int
+  ): List[Domain1D[?]] =
+    def onlyInDimensionOf(d: D, unbounded: Domain1D[Nothing]): D =
+      onlyInDimension[D](domainBounds(d)(dimension), dimension, unbounded)
+    val unique = Interval.uniqueIntervals(
+      intervals.map(i => Interval(onlyInDimensionOf(i.start, Bottom), onlyInDimensionOf(i.end, Top)))
+    )
+    val domains = unique.flatMap(i => Seq(domainBounds(i.start)(dimension), domainBounds(i.end)(dimension)))
+    (Bottom :: domains.map(_.closeIfOpen).toList ::: List(Top)).distinct
+
+  // A domain with the bound in one dimension, and unbounded in every other dimension
+  private def onlyInDimension[D <: NonEmptyTuple](bound: Domain1D[?], dimension: Int, unbounded: Domain1D[Nothing])(
+    using domainLike: DomainLike[D]
+  ): D =
+    val bounds = Seq.tabulate(domainLike.arity)(i => if i == dimension then bound else unbounded)
+    Tuple.fromArray(bounds.toArray).asInstanceOf[D]
+
+  /**
+    * The "successors" field of a dimension: for each boundary after the first, whether it is the right adjacent of the
+    * one before it, i.e., its successor in a discrete dimension (the right adjacent of a closed point is an open point
+    * when continuous). The viewer knows there is nothing between a boundary and its successor. Like open flags, they
+    * are only given when some boundary is a successor.
+    */
+  private def successorsJson[D <: NonEmptyTuple: DomainLike](boundaries: List[Domain1D[?]], dimension: Int): String =
+    def isSuccessor(bound: Domain1D[?], next: Domain1D[?]): Boolean = bound match
+      case point: Point[?] =>
+        domainBounds(onlyInDimension[D](point, dimension, Bottom).rightAdjacent)(dimension) == next
+      case _ => false
+    val successors = boundaries.zip(boundaries.tail).map((bound, next) => isSuccessor(bound, next))
+    if successors.contains(true) then successors.mkString(""","successors":[""", ",", "]") else ""
+
+  /**
+    * The type of the values of a dimension, as the viewer names it, so it can format ticks (e.g., dates as short
+    * dates). Found from the first bounded boundary, so "string" when there is none, or for any other type (e.g.,
+    * enums).
+    */
+  private def dimensionType(boundaries: List[Domain1D[?]]): String =
+    boundaries.collectFirst { case Point(value) => value }.map(_.asMatchable) match
+      case Some(_: (Int | Long | BigInt))     => "int"
+      case Some(_: Double)                    => "double"
+      case Some(_: LocalDate)                 => "date"
+      case Some(_: (LocalDateTime | Instant)) => "dateTime"
+      case _                                  => "string"
+
+  private def domainBounds[D <: NonEmptyTuple](d: D): Seq[Domain1D[?]] =
+    d.productIterator.collect { case b: Domain1D[?] => b }.toSeq
+
+  // Dimension boundaries are closed (see dimensionsJson), so open bounds refer to them by the same string
+  private def domainToJson[D <: NonEmptyTuple](d: D): String =
+    domainBounds(d).map(b => jsonString(b.toString)).mkString("[", ",", "]")
+
+  // The viewer treats bounds as closed by default, so flags are only added when some bound is open
+  private def openJson[D <: NonEmptyTuple](name: String, d: D): String =
+    val open = domainBounds(d).map(!_.isClosedOrUnbounded)
+    if open.contains(true) then open.mkString(s",\"$name\":[", ",", "]") else ""
+
+  private def boxJson[V, D <: NonEmptyTuple: DomainLike](d: ValidData[V, D]): String =
+    val (text1Json, text2Json) = (jsonString(d.value.toString), jsonString(d.interval.toString))
+    val startJson = domainToJson(d.interval.start)
+    val endJson = domainToJson(d.interval.end)
+    val openFlagsJson = openJson("minOpen", d.interval.start) + openJson("maxOpen", d.interval.end)
+    val valueJson = numberJson(d.value) + valuesJson(d.value)
+    s"""{"min":$startJson,"max":$endJson$openFlagsJson,"text1":$text1Json,"text2":$text2Json$valueJson}"""
+
+  // Numeric values (e.g., DataMonoid sums) are also given as numbers, so the viewer can color them on a gradient
+  private def numberJson[V](value: V): String = value.asMatchable match
+    case n: java.lang.Number if java.lang.Double.isFinite(n.doubleValue) => s""","number":${n.doubleValue}"""
+    case _                                                               => ""
+
+  // Set values (e.g., from DataMulti) also have their elements listed, so the viewer can show each one
+  private def valuesJson[V](value: V): String = value.asMatchable match
+    case set: collection.Set[?] => set.toSeq.map(v => jsonString(v.toString)).mkString(""","values":[""", ",", "]")
+    case _                      => ""
+
+  private def jsonString(s: String): String =
+    val escaped = s.flatMap:
+      case '"'          => "\\\""
+      case '\\'         => "\\\\"
+      case '\n'         => "\\n"
+      case '\r'         => "\\r"
+      case '\t'         => "\\t"
+      case c if c < ' ' => f"\\u${c.toInt}%04x"
+      case c            => c.toString
+    s"\"$escaped\""
+
+  /**
+    * Writes the document where the server can find it, returning the path the viewer should fetch it from.
+    */
+  private def writeDocument(json: String): Try[String] = Try:
+    val fileName = s"visualize-${documentCount.incrementAndGet()}.json"
+    val path = dataDir.resolve(fileName)
+    Files.writeString(path, json, StandardCharsets.UTF_8)
+    path.toFile.deleteOnExit()
+    s"/data/$fileName"
 
   private def openInBrowser(url: String): Try[Unit] =
     val result = Try:
@@ -101,11 +382,16 @@ object Visualize3D:
         println(s"Error opening browser: ${e.getMessage}")
         result
 
-  private def runServer(rootDir: Path): Try[Unit] =
+  private def runServer(rootDir: Path): Try[HttpServer] =
     val result = Try:
       val server = HttpServer.create(new InetSocketAddress(port), 0)
-      server.createContext("/", new StaticFileHandler(rootDir))
-      server.setExecutor(null) // Use default executor
+      server.createContext("/", new StaticFileHandler(rootDir, dataDir))
+      // Event streams hold on to their thread, so use a pool rather than the default (single thread) executor
+      val daemonThreads: ThreadFactory = runnable =>
+        val thread = new Thread(runnable)
+        thread.setDaemon(true)
+        thread
+      server.setExecutor(Executors.newCachedThreadPool(daemonThreads))
       server.start()
 
       println(s"HTTP server started on http://localhost:$port")
@@ -118,18 +404,54 @@ object Visualize3D:
         server.stop(0)
         println("Server stopped.")
       ))
+      server
 
     result.recoverWith:
       case NonFatal(e) =>
         println(s"Could not start server: ${e.getMessage}")
         result
 
-  private class StaticFileHandler(rootDir: Path) extends HttpHandler:
+  /**
+    * Server-sent events (see [[https://html.spec.whatwg.org/multipage/server-sent-events.html]]) for live viewers.
+    * Each viewer that connects is first sent a snapshot of the whole document, and then every event published after.
+    */
+  private class EventStreamHandler(initialSnapshot: String) extends HttpHandler:
+    private val clients = new CopyOnWriteArrayList[LinkedBlockingQueue[String]]()
+    private var snapshot = initialSnapshot
+
+    private def eventText(event: String, json: String): String = s"event: $event\ndata: $json\n\n"
+
+    def publish(event: String, json: String, updatedSnapshot: String): Unit = synchronized:
+      snapshot = updatedSnapshot
+      clients.forEach(_.put(eventText(event, json)))
+
+    override def handle(exchange: HttpExchange): Unit =
+      val queue = new LinkedBlockingQueue[String]()
+      synchronized:
+        queue.put(eventText("snapshot", snapshot))
+        clients.add(queue)
+      try
+        exchange.getResponseHeaders.set("Content-Type", "text/event-stream; charset=UTF-8")
+        exchange.getResponseHeaders.set("Cache-Control", "no-cache")
+        exchange.sendResponseHeaders(200, 0)
+        val os = exchange.getResponseBody
+        while true do
+          // A comment line is sent when idle, which is how a closed connection gets noticed
+          val text = Option(queue.poll(15, TimeUnit.SECONDS)).getOrElse(": keep-alive\n\n")
+          os.write(text.getBytes(StandardCharsets.UTF_8))
+          os.flush()
+      catch
+        case _: IOException | _: InterruptedException => () // viewer went away
+      finally
+        clients.remove(queue)
+        exchange.close()
+
+  private class StaticFileHandler(rootDir: Path, dataDir: Path) extends HttpHandler:
     private val MimeTypes = Map(
       ".html" -> "text/html",
       ".js" -> "application/javascript",
-      ".css" -> "text/css" // ,
-      // ".json" -> "application/json",
+      ".css" -> "text/css",
+      ".json" -> "application/json" // ,
       // ".png" -> "image/png",
       // ".jpg" -> "image/jpeg",
       // ".gif" -> "image/gif",
@@ -169,7 +491,9 @@ object Visualize3D:
       val requestURI = exchange.getRequestURI.getPath
       val effectivePath = if requestURI == "/" || requestURI.isEmpty then "/index.html" else requestURI
       try
-        val filePath = rootDir.resolve(effectivePath.stripPrefix("/"))
+        val filePath =
+          if effectivePath.startsWith("/data/") then dataDir.resolve(effectivePath.stripPrefix("/data/"))
+          else rootDir.resolve(effectivePath.stripPrefix("/"))
         if Files.exists(filePath) && !Files.isDirectory(filePath) then sendContent(filePath)
         else sendNotFound(s"File not found: $effectivePath")
       catch
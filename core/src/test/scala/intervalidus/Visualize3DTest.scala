@@ -0,0 +1,64 @@
+package intervalidus
+
+import intervalidus.ContinuousValue.DoubleContinuousValue
+import intervalidus.DiscreteValue.{IntDiscreteValue, LocalDateDiscreteValue, LongDiscreteValue}
+import org.scalatest.funsuite.AnyFunSuite
+import org.scalatest.matchers.should.Matchers
+
+import java.time.LocalDate
+import scala.language.implicitConversions
+
+class Visualize3DTest extends AnyFunSuite with Matchers:
+
+  import Interval1D.*
+
+  test("Writes the viewer document"):
+    val hello = intervalFrom(0).to(5) x intervalFrom(0.0).toBefore(1.5) x unbounded[Int]
+    val world = intervalFrom(6) x intervalFromAfter(1.5).to(2.5) x unbounded[Int]
+    val data = immutable.Data.of(hello -> "Hello", world -> "World")
+
+    Visualize3D.documentJson(data.getAll, "Test", Seq("version", "x", "y")) shouldBe Seq(
+      """{"format":"intervalidus-vis3d","version":2,"title":"Test","dimensions":[""",
+      """{"name":"version","type":"int","boundaries":["-∞","0","5","6","+∞"],""",
+      """"successors":[false,false,true,false],"values":[null,0.0,5.0,6.0,null]},""",
+      """{"name":"x","type":"double",""",
+      """"boundaries":["-∞","0.0","1.5","2.5","+∞"],"values":[null,0.0,1.5,2.5,null]},""",
+      """{"name":"y","type":"string","boundaries":["-∞","+∞"],"values":[null,null]}],""",
+      """"data":[{"min":["0","0.0","-∞"],"max":["5","1.5","+∞"],"maxOpen":[false,true,false],""",
+      s""""text1":"Hello","text2":"$hello"},""",
+      """{"min":["6","1.5","-∞"],"max":["+∞","2.5","+∞"],"minOpen":[false,true,false],""",
+      s""""text1":"World","text2":"$world"}]}"""
+    ).mkString
+
+  test("Writes the viewer document with default dimension names"):
+    val day = LocalDate.of(2024, 8, 1)
+    val data = immutable.Data.of((intervalFrom(day) x intervalTo(3) x unbounded[Int]) -> 42)
+    val json = Visualize3D.documentJson(data.getAll, "Defaults", Seq.empty)
+
+    json should include(
+      """{"name":"x","type":"date","boundaries":["-∞","2024-08-01","+∞"],"values":[null,19936.0,null]}"""
+    )
+    json should include("""{"name":"y","type":"int","boundaries":["-∞","3","+∞"],"values":[null,3.0,null]}""")
+    json should include(""""min":["2024-08-01","-∞","-∞"],"max":["+∞","3","+∞"],"text1":"42",""")
+    json should include(""""number":42.0""")
+    assertThrows[IllegalArgumentException]:
+      Visualize3D.documentJson(data.getAll, "Too many names", Seq("version", "x", "y", "z"))
+
+  test("Writes which boundaries of the viewer document are successors"):
+    // Found by right adjacency rather than by value, since values are doubles, rounded for longs this big
+    val big = (1L << 53) + 1
+    val day = LocalDate.of(2024, 8, 1)
+    val data = immutable.Data.of(
+      (intervalFrom(big).to(big + 1) x intervalFrom(day).to(day.plusDays(4)) x unbounded[Int]) -> "a",
+      (intervalFrom(big + 2) x intervalFrom(day.plusDays(5)) x unbounded[Int]) -> "b"
+    )
+    val json = Visualize3D.documentJson(data.getAll, "Successors", Seq.empty)
+
+    json should include(
+      """"boundaries":["-∞","9007199254740993","9007199254740994","9007199254740995","+∞"],""" +
+        """"successors":[false,true,true,false],"""
+    )
+    json should include(
+      """"boundaries":["-∞","2024-08-01","2024-08-05","2024-08-06","+∞"],"successors":[false,false,true,false],"""
+    )
+    json should include(""""boundaries":["-∞","+∞"],"values":[null,null]}""") // none
@@ -452,7 +452,7 @@ class DataIn3DVersionedTest extends AnyFunSuite with Matchers with DataIn3DVersi
       (intervalFrom(day(10)) x unbounded[LocalDate] x unbounded[Int]) -> "World"
     )
     val fixture1 = timeboundVersionedString(allData)
-    // Visualize4D(fixture1.getDataIn4D, 50000, "before Zoinks")
+    // Visualize3D(fixture1.getVersionedData, 50000, "before Zoinks", Seq("version", "x", "y", "z"))
     val zoinks = (interval(day(-30), day(0)) x unbounded[LocalDate] x unbounded[Int]) -> "Zoinks!"
     val fixture2 = fixture1.set(zoinks)(using VersionSelection.Unapproved)
 
@@ -464,7 +464,7 @@ class DataIn3DVersionedTest extends AnyFunSuite with Matchers with DataIn3DVersi
       (intervalFrom(day(10)) x unbounded[LocalDate] x unbounded[Int]) -> "World"
     )
     val fixture = timeboundVersionedString(allData)
-    // Visualize4D(fixture1.getDataIn4D, 50000, "before Zoinks")
+    // Visualize3D(fixture.getVersionedData, 50000, "before Zoinks", Seq("version", "x", "y", "z"))
     val zoinks = (interval(day(-30), day(0)) x unbounded[LocalDate] x unbounded[Int]) -> "Zoinks!"
     fixture.set(zoinks)(using VersionSelection.Unapproved)
 
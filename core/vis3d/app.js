@@ -1,25 +1,22 @@
-import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { Viewer, CHANGE_COLORS, DIAGNOSTIC_COLORS, CHANGE_NAMES, GRADIENT_STOPS, LABEL_TEXT_COLOR, AXIS_TICK_LABEL_COLOR, PROJECTION_FILL_OPACITY, changeText, prepareCanvas } from './viewer.js';
+import { AXES, SEARCH_PREDICATES, boundsText, thinnedTickIndexes } from './layout.js';
+import { DOCUMENT_FORMAT, DataDocumentError, parseJsonText } from './document.js';
+import { PROBLEM_KINDS, regionText } from './diagnostics.js';
 
 // 3D visualizer, 100% vibe-coded using Gemini 2.5 Pro Preview 05-06
-// Renders the non-metric representation of data, allowing it to be rotated, sliced, and understood.
+// Renders the non-metric representation of data, allowing it to be rotated, sliced, and understood. This is the viewer
+// page: the controls and panels around a Viewer (see viewer.js), and the data given to it.
 // Launched by core/src/test/scala/intervalidus/Visualize3D.scala
 
 // --- Set Custom Title from URL Parameter ---
+let titleFromUrl = false; // when set, it takes precedence over the title in the data document
 try {
     const urlParams = new URLSearchParams(window.location.search);
     const customTitle = urlParams.get('title');
-    if (customTitle && customTitle.trim() !== '') document.title = decodeURIComponent(customTitle.trim());
+    if (customTitle && customTitle.trim() !== '') { document.title = decodeURIComponent(customTitle.trim()); titleFromUrl = true; }
 } catch (error) { console.error("Error processing title URL parameter:", error); }
 
-let scene, camera, renderer, controls;
-let allVisualsGroup;
-let slicePlaneHelper;
-let dataBoxes = [];
-let axisBoundaryMaps = { x: [], y: [], z: [] };
-let projectionVisualsGroup;
-let axisVisualsGroup;
-let sliceAxisIntersectionDot;
+let viewer;
 
 // --- UI Elements ---
 const sliceAxisSelect = document.getElementById('sliceAxis');
@@ -27,432 +24,918 @@ const sliceCoordinateSlider = document.getElementById('sliceCoordinate');
 const sliceCoordValueSpan = document.getElementById('sliceCoordValue');
 const showSlicePlaneCheckbox = document.getElementById('showSlicePlane');
 const show2DProjectionCheckbox = document.getElementById('show2DProjection');
+const axisSpacingSelects = { x: document.getElementById('spacingX'), y: document.getElementById('spacingY'), z: document.getElementById('spacingZ') };
+const axisDimensionSelects = { x: document.getElementById('dimensionX'), y: document.getElementById('dimensionY'), z: document.getElementById('dimensionZ') };
+const filtersContainer = document.getElementById('filters');
+const dataFileInput = document.getElementById('dataFile');
+const containerElement = document.getElementById('container');
+const errorOverlay = document.getElementById('errorOverlay');
+const errorTitle = document.getElementById('errorTitle');
+const errorMessages = document.getElementById('errorMessages');
+const errorDismissButton = document.getElementById('errorDismiss');
+const liveStatus = document.getElementById('liveStatus');
+const colorModeSelect = document.getElementById('colorMode');
+const legendPanel = document.getElementById('legend');
+const legendGradient = document.getElementById('legendGradient');
+const legendEntries = document.getElementById('legendEntries');
+const legendShowAllButton = document.getElementById('legendShowAll');
+const tooltipElement = document.getElementById('tooltip');
+const inspectorPanel = document.getElementById('inspector');
+const inspectorContent = document.getElementById('inspectorContent');
+const inspectorCloseButton = document.getElementById('inspectorClose');
+const showProbeCheckbox = document.getElementById('showProbe');
+const probeControls = document.getElementById('probeControls');
+const probeSliders = { x: document.getElementById('probeX'), y: document.getElementById('probeY'), z: document.getElementById('probeZ') };
+const probePanel = document.getElementById('probePanel');
+const probePoint = document.getElementById('probePoint');
+const probeValues = document.getElementById('probeValues');
+const clipEnabledCheckbox = document.getElementById('clipEnabled');
+const clipControls = document.getElementById('clipControls');
+const clipSliders = Object.fromEntries(AXES.map(axis => [axis, ['Min', 'Max'].map(side => document.getElementById(`clip${axis.toUpperCase()}${side}`))]));
+const clipRangeTexts = Object.fromEntries(AXES.map(axis => [axis, document.getElementById(`clip${axis.toUpperCase()}Range`)]));
+const clipResetButton = document.getElementById('clipReset');
+const searchPanel = document.getElementById('searchPanel');
+const searchTextInput = document.getElementById('searchText');
+const searchRegexCheckbox = document.getElementById('searchRegex');
+const searchKindSelects = Object.fromEntries(AXES.map(axis => [axis, document.getElementById(`searchKind${axis.toUpperCase()}`)]));
+const searchBoundarySelects = Object.fromEntries(AXES.map(axis => [axis, document.getElementById(`searchBoundary${axis.toUpperCase()}`)]));
+const searchClearButton = document.getElementById('searchClear');
+const searchCount = document.getElementById('searchCount');
+const searchMatchList = document.getElementById('searchMatches');
+const showDiagnosticsCheckbox = document.getElementById('showDiagnostics');
+const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+const diagnosticsContent = document.getElementById('diagnosticsContent');
+const comparisonControls = document.getElementById('comparisonControls');
+const comparisonViewSelect = document.getElementById('comparisonView');
+const comparisonSummary = document.getElementById('comparisonSummary');
+const viewLabels = document.getElementById('viewLabels');
+const pngWidthInput = document.getElementById('pngWidth');
+const pngHeightInput = document.getElementById('pngHeight');
+const showSlicePanelCheckbox = document.getElementById('showSlicePanel');
+const showSmallMultiplesCheckbox = document.getElementById('showSmallMultiples');
+const slicePanel = document.getElementById('slicePanel');
+const slicePanelTitle = document.getElementById('slicePanelTitle');
+const slicePanelCanvas = document.getElementById('slicePanelCanvas');
+const smallMultiples = document.getElementById('smallMultiples');
+const viewButtons = { default: document.getElementById('viewDefault'), top: document.getElementById('viewTop'), front: document.getElementById('viewFront'), side: document.getElementById('viewSide'), iso: document.getElementById('viewIso') };
+const projectionSelect = document.getElementById('projection');
+const controlSpeedInputs = { zoom: document.getElementById('zoomSpeed'), pan: document.getElementById('panSpeed'), rotate: document.getElementById('rotateSpeed') };
+const exportButtons = { png: document.getElementById('exportPng'), svg: document.getElementById('exportSvg'), gltf: document.getElementById('exportGltf'), html: document.getElementById('exportHtml') };
 
 // --- Constants ---
-const VISUAL_GRID_SPACING = 3;
-const LABEL_FONT_SIZE = 20;
-const AXIS_TICK_LABEL_FONT_SIZE = 16;
-const LABEL_TEXT_COLOR = 'white';
-const LABEL_BG_COLOR = 'rgba(0, 0, 0, 0.6)';
-const AXIS_TICK_LABEL_COLOR = 'lightgray';
-const BOX_HELPER_COLOR = 0x00ff00;
-const PROJECTION_OUTLINE_COLOR = 0xffa500;
-const SLICE_AXIS_DOT_COLOR = 0xffffff;
-
-
-// --- Dragging State ---
-const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
-let isDraggingSlicePlane = false;
-let dragPlane = new THREE.Plane();
-let dragStartPointOnHelper = new THREE.Vector3(); // Initial intersection in world space
-let dragInitialIndex = 0; // The slice index when the drag started
-let dragActiveAxis = null; // 'x', 'y', or 'z'
-const planeIntersectPoint = new THREE.Vector3(); // Reusable vector
-
-// --- Helper: Get Display Coordinate ---
-function getDisplayCoord(boundaryValue, axis) {
-    let searchValue = boundaryValue;
-    if (boundaryValue === Number.POSITIVE_INFINITY) searchValue = "+∞";
-    if (boundaryValue === Number.NEGATIVE_INFINITY) searchValue = "-∞";
-    const index = axisBoundaryMaps[axis].indexOf(searchValue);
-    if (index === -1) {
-        console.warn(`Boundary value "${boundaryValue}" not found in axis "${axis}" map.`);
-        return 0;
-    }
-    return index * VISUAL_GRID_SPACING;
+const MAX_REPORTED_PROBLEMS = 20;
+
+// --- Setup ---
+function init() {
+    const controlSpeeds = Object.fromEntries(Object.entries(controlSpeedInputs).map(([name, input]) => [name, parseFloat(input.value)]));
+    viewer = new Viewer(containerElement, { showSlicePlane: showSlicePlaneCheckbox.checked, projectSlice: show2DProjectionCheckbox.checked, controlSpeeds });
+    viewer.addEventListener('load', onDataLoaded);
+    viewer.addEventListener('slice', onSliceChanged);
+    viewer.addEventListener('camera', onCameraMoved);
+    viewer.addEventListener('hover', event => showTooltip(event.detail));
+    viewer.addEventListener('select', event => showInspector(event.detail.boxData));
+    viewer.addEventListener('probe', event => showProbe(event.detail));
+    viewer.addEventListener('clip', event => showClipping(event.detail));
+    viewer.addEventListener('search', event => showSearchMatches(event.detail));
+    viewer.addEventListener('diagnostics', event => showDiagnostics(event.detail));
+
+    // Event Listeners
+    sliceAxisSelect.addEventListener('change', () => viewer.setSlice(sliceAxisSelect.value === 'none' ? null : sliceAxisSelect.value, parseInt(sliceCoordinateSlider.value)));
+    sliceCoordinateSlider.addEventListener('input', () => viewer.setSlice(viewer.slice.axis, parseInt(sliceCoordinateSlider.value)));
+    showSlicePlaneCheckbox.addEventListener('change', () => viewer.setSliceDisplay({ showPlane: showSlicePlaneCheckbox.checked }));
+    show2DProjectionCheckbox.addEventListener('change', () => viewer.setSliceDisplay({ projection: show2DProjectionCheckbox.checked }));
+    showSlicePanelCheckbox.addEventListener('change', () => updateSlicePanel(viewer.getSlice(), true));
+    showSmallMultiplesCheckbox.addEventListener('change', () => updateSlicePanel(viewer.getSlice(), true));
+    AXES.forEach(axis => axisSpacingSelects[axis].addEventListener('change', () => viewer.setAxisSpacing(axis, axisSpacingSelects[axis].value)));
+    AXES.forEach(axis => axisDimensionSelects[axis].addEventListener('change', () => setAxisDimension(axis, parseInt(axisDimensionSelects[axis].value))));
+    colorModeSelect.addEventListener('change', () => { viewer.setColorMode(colorModeSelect.value); updateColorControls(); });
+    comparisonViewSelect.addEventListener('change', () => { viewer.setComparisonView(comparisonViewSelect.value); updateControls(); });
+    legendShowAllButton.addEventListener('click', () => { viewer.showAllValues(); updateLegend(); });
+    inspectorCloseButton.addEventListener('click', () => viewer.select(null));
+    showProbeCheckbox.addEventListener('change', () => viewer.setProbe({ enabled: showProbeCheckbox.checked }));
+    AXES.forEach(axis => probeSliders[axis].addEventListener('input', () => viewer.setProbe({ slots: { [axis]: parseInt(probeSliders[axis].value) } })));
+    clipEnabledCheckbox.addEventListener('change', () => viewer.setClipping(clipEnabledCheckbox.checked));
+    AXES.forEach(axis => clipSliders[axis].forEach((slider, s) => slider.addEventListener('input', () => {
+        viewer.setClipRangeSide(axis, s === 0 ? 'min' : 'max', parseInt(slider.value));
+        showClipping(viewer.getClipping()); // a slider dragged past the other one stays at it
+    })));
+    clipResetButton.addEventListener('click', () => viewer.resetClipRanges());
+    [searchTextInput, searchRegexCheckbox, ...Object.values(searchKindSelects), ...Object.values(searchBoundarySelects)].forEach(input =>
+        input.addEventListener(input === searchTextInput ? 'input' : 'change', applySearch));
+    searchClearButton.addEventListener('click', clearSearch);
+    showDiagnosticsCheckbox.addEventListener('change', () => viewer.setDiagnostics(showDiagnosticsCheckbox.checked));
+    AXES.forEach(axis => searchKindSelects[axis].replaceChildren(...[["", "any"], ...Object.entries(SEARCH_PREDICATES).map(([kind, { name }]) => [kind, name])].map(([kind, name]) => {
+        const option = document.createElement('option'); option.value = kind; option.textContent = name;
+        return option;
+    })));
+    Object.entries(viewButtons).forEach(([view, button]) => button.addEventListener('click', () => viewer.fitCamera(view)));
+    projectionSelect.addEventListener('change', () => viewer.setProjection(projectionSelect.value));
+    Object.entries(controlSpeedInputs).forEach(([name, input]) => input.addEventListener('input', () => viewer.setControlSpeeds({ [name]: parseFloat(input.value) })));
+    // Keys pressed anywhere but in a form field control the viewer too, not only when its canvas has the focus
+    document.addEventListener('keydown', event => { if (!event.target.closest?.('input, select, textarea')) viewer.onKeyDown(event); });
+    window.addEventListener('hashchange', () => applyViewHash(new URLSearchParams(window.location.hash.slice(1))));
+
+    // Loading data from a file, either picked or dropped on the canvas
+    dataFileInput.addEventListener('change', () => {
+        const file = dataFileInput.files[0];
+        if (file) loadDataDocument(file.name, () => readDataFile(file));
+        dataFileInput.value = ""; // so picking the same file again reloads it
+    });
+    containerElement.addEventListener('dragover', event => {
+        event.preventDefault(); event.dataTransfer.dropEffect = 'copy';
+        containerElement.classList.add('drag-over');
+    });
+    containerElement.addEventListener('dragleave', () => containerElement.classList.remove('drag-over'));
+    containerElement.addEventListener('drop', event => {
+        event.preventDefault(); containerElement.classList.remove('drag-over');
+        const file = event.dataTransfer.files[0];
+        if (file) loadDataDocument(file.name, () => readDataFile(file));
+    });
+    errorDismissButton.addEventListener('click', hideErrorOverlay);
+    exportButtons.png.addEventListener('click', () => runExport(() => exportPng(parseInt(pngWidthInput.value), parseInt(pngHeightInput.value))));
+    exportButtons.svg.addEventListener('click', () => runExport(exportSliceSvg));
+    exportButtons.gltf.addEventListener('click', () => runExport(exportGltf));
+    exportButtons.html.addEventListener('click', () => runExport(exportOfflineHtml));
 }
 
-// --- Main ---
-init();
-animate();
+// After a data document or live update is applied, the controls are rebuilt for the dimensions and values it has
+function onDataLoaded(event) {
+    const { title, dimensionsChanged } = event.detail;
+    if (title && !titleFromUrl) document.title = title;
+    if (dimensionsChanged) stopPlayback();
+    updateControls();
+    if (initialViewHash) { applyViewHash(initialViewHash); initialViewHash = null; }
+}
 
-// --- Three.js Setup ---
-function init() {
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x222222);
+function updateControls() {
+    updateModeControls();
+    updateSpacingControls();
+    updateDimensionControls();
+    updateColorControls();
+    updateComparisonDisplay();
+    updateSearchControls();
+}
 
-    defineDataBoxes();
+// --- Data Loading ---
+// Data sources, in order of precedence: a document embedded in an offline copy of the viewer (see exportOfflineHtml), a
+// live event stream (?live=), a document URL (?src=), the older axes/data URL parameters, or the demo data
+function loadInitialData() {
+    const embeddedDocument = document.getElementById(EMBEDDED_DOCUMENT_ID);
+    if (embeddedDocument) {
+        loadDataDocument("embedded data", async () => parseJsonText(embeddedDocument.textContent, "embedded data"));
+        return;
+    }
+    const urlParams = new URLSearchParams(window.location.search);
+    const srcParam = urlParams.get('src');
+    const liveParam = urlParams.get('live');
+    const axesParam = urlParams.get('axes');
+    const dataParam = urlParams.get('data');
+    if (liveParam) connectLiveStream(liveParam);
+    else if (srcParam) loadDataDocument(srcParam, () => fetchDataDocument(srcParam));
+    else if (axesParam || dataParam) loadDataDocument("URL parameters", async () => {
+        const parseParam = (name, param) => {
+            try { return param === null ? undefined : JSON.parse(param); }
+            catch (error) { throw new DataDocumentError("URL parameters", [`"${name}" is not valid JSON: ${error.message}`]); }
+        };
+        return { format: DOCUMENT_FORMAT, version: 1, axes: parseParam('axes', axesParam), data: parseParam('data', dataParam) };
+    });
+    else loadDataDocument("demo data", async () => defaultDataDocument());
+}
 
-    const vizSizeX = (axisBoundaryMaps.x.length - 1) * VISUAL_GRID_SPACING;
-    const vizSizeY = (axisBoundaryMaps.y.length - 1) * VISUAL_GRID_SPACING;
-    const vizSizeZ = (axisBoundaryMaps.z.length - 1) * VISUAL_GRID_SPACING;
-    const vizCenter = new THREE.Vector3(vizSizeX / 2, vizSizeY / 2, vizSizeZ / 2);
-    const maxVizDim = Math.max(vizSizeX, vizSizeY, vizSizeZ, 1);
+async function fetchDataDocument(src) {
+    let response;
+    try { response = await fetch(src); }
+    catch (error) { throw new DataDocumentError(src, [`could not be fetched: ${error.message}`]); }
+    if (!response.ok) throw new DataDocumentError(src, [`could not be fetched: HTTP ${response.status} ${response.statusText}`]);
+    return parseJsonText(await response.text(), src);
+}
 
-    camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, maxVizDim * 5);
-    camera.position.set(vizCenter.x + maxVizDim, vizCenter.y + maxVizDim * 0.8, vizCenter.z + maxVizDim);
-    camera.lookAt(vizCenter);
+async function readDataFile(file) {
+    return parseJsonText(await file.text(), file.name);
+}
 
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    document.getElementById('container').appendChild(renderer.domElement);
+// Loads the document once its JSON is read. On failure, the error is shown and whatever was displayed before remains.
+async function loadDataDocument(source, readJson) {
+    try {
+        viewer.load(await readJson(), { source });
+        hideErrorOverlay();
+    } catch (error) {
+        console.error("Error loading data:", error);
+        showErrorOverlay(error);
+    }
+}
 
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.target.copy(vizCenter);
-    // --- ADJUST CONTROL SPEEDS HERE ---
-    controls.zoomSpeed = 15; // Custom zoom speed
-    // controls.panSpeed = 1.5;   // Optional: Pan 1.5x faster
-    // controls.rotateSpeed = 1.2; // Optional: Rotate 1.2x faster
+function defaultDataDocument() {
+    return {
+        format: DOCUMENT_FORMAT, version: 1,
+        axes: {
+            x: ["-∞", "red", "blue", "+∞"],
+            y: ["-∞", "red", "blue", "violet", "+∞"],
+            z: ["-∞", "green", "blue", "+∞"]
+        },
+        data: [
+            { min: ["-∞", "red", "blue"], max: ["blue", "blue", "+∞"], text1: "Box 1" },
+            { min: ["red", "red", "green"], max: ["blue", "violet", "+∞"], text1: "Box 2" },
+            { min: ["blue", "violet", "-∞"], max: ["+∞", "+∞", "green"], text1: "Box 3", text2: "Spans axes" }
+        ]
+    };
+}
 
-    // To enable damping for smoother movement:
-    // controls.enableDamping = true;
-    // controls.dampingFactor = 0.05; // Optional: smoother controls
-    controls.update();
+// --- Live Updates ---
+// With ?live=, the viewer follows server-sent events from Visualize3D.live: first a "snapshot" event holding a whole
+// data document, then a "diff" event after each change (see parseDiffEvent).
+let hasLiveSnapshot = false;
+
+function connectLiveStream(url) {
+    const eventSource = new EventSource(url); // reconnects on its own, and gets a new snapshot when it does
+    setLiveStatus('connecting', `Live: connecting to ${url}...`);
+    eventSource.addEventListener('open', () => setLiveStatus('connected', `Live: following ${url}`));
+    eventSource.addEventListener('error', () => setLiveStatus('disconnected', "Live: disconnected, retrying..."));
+    eventSource.addEventListener('snapshot', event => {
+        try {
+            viewer.load(parseJsonText(event.data, url), { source: url, keepView: hasLiveSnapshot });
+            hasLiveSnapshot = true;
+            hideErrorOverlay();
+        } catch (error) { console.error("Error applying live snapshot:", error); showErrorOverlay(error); }
+    });
+    eventSource.addEventListener('diff', event => {
+        try { viewer.applyDiff(parseJsonText(event.data, url), { source: url }); }
+        catch (error) { console.error("Error applying live update:", error); showErrorOverlay(error); }
+    });
+}
 
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.8); scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.7);
-    directionalLight.position.set(1, 1.5, 1).normalize(); scene.add(directionalLight);
+function setLiveStatus(state, text) {
+    liveStatus.hidden = false;
+    liveStatus.className = state;
+    liveStatus.textContent = text;
+}
 
-    allVisualsGroup = new THREE.Group();
-    dataBoxes.forEach(boxData => allVisualsGroup.add(createBoxVisual(boxData)));
-    scene.add(allVisualsGroup);
+// --- Flat Modes ---
+// 1D and 2D data is drawn flat (see Viewer.isFlat), so the controls of flat axes are hidden, along with the ones for
+// slicing, rotating, and looking from other directions
+function updateModeControls() {
+    const flat = viewer.isFlat();
+    document.querySelectorAll('#controls .only3d').forEach(element => element.hidden = flat);
+    AXES.forEach(axis => {
+        const hidden = viewer.layout.isFlat(axis);
+        [axisDimensionSelects[axis], axisSpacingSelects[axis]].forEach(select => select.hidden = select.previousElementSibling.hidden = hidden);
+        [probeSliders[axis], clipSliders[axis][0], searchKindSelects[axis]].forEach(control => control.parentElement.hidden = hidden);
+    });
+    exportButtons.svg.textContent = flat ? "SVG" : "Slice SVG";
+    exportButtons.svg.title = flat ? "The data, drawn flat" : "The current slice, drawn flat";
+}
 
-    projectionVisualsGroup = new THREE.Group();
-    scene.add(projectionVisualsGroup);
+// --- Axis Spacing ---
+// Boundary values may change with the data, so metric spacing options are only enabled when they can be used
+function updateSpacingControls() {
+    AXES.forEach(axis => {
+        const available = viewer.layout.spacingAvailable(axis);
+        const select = axisSpacingSelects[axis];
+        Array.from(select.options).forEach(option => { if (option.value !== 'ordinal') option.disabled = !available; });
+        select.title = available ? "" : "Metric spacing needs a numeric value for every bounded boundary";
+        select.value = viewer.layout.spacing(axis);
+    });
+}
 
-    slicePlaneHelper = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial({ color: 0x00ffff, side: THREE.DoubleSide, transparent: true, opacity: 0.2, depthWrite: false }));
-    slicePlaneHelper.name = "SlicePlaneHelper"; scene.add(slicePlaneHelper); slicePlaneHelper.visible = false;
-    slicePlaneHelper.renderOrder = -1;
+// --- Dimensions ---
+// Each dimension that isn't displayed gets a filter (see AxisLayout), which can be played, stepping through its points
+// like the frames of an animation, e.g., to play back versions.
+const PLAYBACK_STEP_MS = 800;
+let playback = null; // { dimensionIndex, timer } while a filter is playing
 
-    // --- Create Slice Axis Intersection Dot ---
-    const dotDisplaySize = VISUAL_GRID_SPACING * 0.05;
-    sliceAxisIntersectionDot = new THREE.Mesh(new THREE.SphereGeometry(dotDisplaySize, 16, 8), new THREE.MeshBasicMaterial({ color: SLICE_AXIS_DOT_COLOR }));
-    sliceAxisIntersectionDot.visible = false; scene.add(sliceAxisIntersectionDot);
-    // --- End Dot Creation ---
+function setAxisDimension(axis, dimensionIndex) {
+    viewer.setAxisDimension(axis, dimensionIndex);
+    if (playback && !viewer.layout.filterDimensionIndexes().includes(playback.dimensionIndex)) stopPlayback();
+    updateControls();
+}
 
-    createAxisVisuals();
+// Rebuilds the dimension choices for each axis and the filters for the other dimensions
+function updateDimensionControls() {
+    const { dimensions, axisDimensions } = viewer.layout;
+    AXES.forEach(axis => {
+        if (viewer.layout.isFlat(axis)) return; // its controls are hidden (see updateModeControls)
+        const select = axisDimensionSelects[axis];
+        select.replaceChildren(...dimensions.map((dimension, d) => {
+            const option = document.createElement('option'); option.value = d; option.textContent = dimension.name;
+            return option;
+        }));
+        select.value = axisDimensions[axis];
+        const name = dimensions[axisDimensions[axis]].name;
+        const sliceOption = Array.from(sliceAxisSelect.options).find(option => option.value === axis);
+        sliceOption.textContent = name.toLowerCase() === axis ? `${axis.toUpperCase()}-Axis` : `${axis.toUpperCase()}-Axis (${name})`;
+    });
+    filtersContainer.replaceChildren(...viewer.layout.filterDimensionIndexes().map(d => {
+        const choices = viewer.layout.filterSlotChoices(viewer.boxes, d);
+        const filter = document.createElement('div'); filter.className = 'filter';
+        const label = document.createElement('label'); label.textContent = `${dimensions[d].name}: `;
+        const valueSpan = document.createElement('span'); valueSpan.className = 'filterValue'; label.appendChild(valueSpan);
+        const playButton = document.createElement('button'); playButton.className = 'play';
+        const slider = document.createElement('input'); slider.type = 'range';
+        slider.min = 0; slider.max = choices.length - 1; slider.step = 1;
+        slider.addEventListener('input', () => setFilterSlot(d, choices[parseInt(slider.value)]));
+        playButton.addEventListener('click', () => togglePlayback(d));
+        filter.append(label, playButton, slider);
+        filter.dataset.dimension = d;
+        return filter;
+    }));
+    updateFilterControls();
+}
 
-    // Event Listeners
-    sliceAxisSelect.addEventListener('change', () => { updateSliderRange(); updateSlice(); });
-    sliceCoordinateSlider.addEventListener('input', updateSlice);
-    showSlicePlaneCheckbox.addEventListener('change', updateSlice);
-    show2DProjectionCheckbox.addEventListener('change', updateSlice);
-    window.addEventListener('resize', onWindowResize);
-    renderer.domElement.addEventListener('mousedown', onDocumentMouseDown, false);
-    renderer.domElement.addEventListener('mousemove', onDocumentMouseMove, false);
-    renderer.domElement.addEventListener('mouseup', onDocumentMouseUp, false);
-    renderer.domElement.addEventListener('mouseout', onDocumentMouseUp, false);
-
-    updateSliderRange();
-    updateSlice();
-}
-
-// --- Data Definition ---
-function defineDataBoxes() {
-    console.log("in defineDataBoxes")
-    let axesData = null; let boxDefData = null; let customDataProvided = false;
-    try {
-        const urlParams = new URLSearchParams(window.location.search);
-        const axesParam = urlParams.get('axes');
-        const dataParam = urlParams.get('data');
-        if (axesParam) axesData = JSON.parse(decodeURIComponent(axesParam));
-        if (dataParam) boxDefData = JSON.parse(decodeURIComponent(dataParam));
-        console.log("axesData=", axesData)
-        console.log("boxDefData=", boxDefData)
-        if (axesData && boxDefData && Array.isArray(boxDefData)) {
-            axisBoundaryMaps.x = axesData.x || []; axisBoundaryMaps.y = axesData.y || []; axisBoundaryMaps.z = axesData.z || [];
-            dataBoxes = boxDefData.map(item => ({ minBounds: item.min, maxBounds: item.max, text1: item.text1 || item.text || "", text2: item.text2 || "" }));
-            customDataProvided = true;
-        }
-    } catch (error) { console.error("Error parsing URL data:", error, ". Using default data."); }
+// Shows each filter point (and which filter is playing) without rebuilding the filters
+function updateFilterControls() {
+    const { dimensions, filterSlots } = viewer.layout;
+    Array.from(filtersContainer.children).forEach(filter => {
+        const d = parseInt(filter.dataset.dimension);
+        const choices = viewer.layout.filterSlotChoices(viewer.boxes, d);
+        const choice = choices.indexOf(filterSlots[d]);
+        filter.querySelector('input').value = choice < 0 ? 0 : choice;
+        filter.querySelector('.filterValue').textContent = viewer.layout.slotText(d, filterSlots[d]);
+        const playing = playback?.dimensionIndex === d;
+        filter.querySelector('.play').textContent = playing ? "Pause" : "Play";
+        filter.querySelector('.play').title = playing ? `Stop stepping through ${dimensions[d].name}` : `Step through ${dimensions[d].name}`;
+    });
+}
 
-    if (!customDataProvided) {
-        // console.log("Using default data set.");
-        axisBoundaryMaps = {
-            x: ["-∞", "red", "blue", "+∞"],
-            y: ["-∞", "red", "blue", "violet", "+∞"],
-            z: ["-∞", "green", "blue", "+∞"]
-        };
-        dataBoxes = [
-            { minBounds: ["-∞", "red", "blue"], maxBounds: ["blue", "blue", "+∞"], text1: "Box 1" },
-            { minBounds: ["red", "red", "green"], maxBounds: ["blue", "violet", "+∞"], text1: "Box 2" },
-            { minBounds: ["blue", "violet", "-∞"], maxBounds: ["+∞", "+∞", "green"], text1: "Box 3", text2: "Spans axes" }
-        ];
-    }
+function setFilterSlot(dimensionIndex, slot) {
+    viewer.setFilterSlot(dimensionIndex, slot);
+    updateFilterControls();
+}
+
+function togglePlayback(dimensionIndex) {
+    const playing = playback?.dimensionIndex === dimensionIndex;
+    stopPlayback();
+    if (!playing) playback = { dimensionIndex, timer: setInterval(stepPlayback, PLAYBACK_STEP_MS) };
+    updateFilterControls();
 }
 
-// --- Visualization Creation ---
-function createTextLabel(textLine1, textLine2, position, fontSize, textColor, bgColor, bold = true) {
-    const canvas = document.createElement('canvas'); const context = canvas.getContext('2d');
-    const fontWeight = bold ? 'Bold ' : ''; context.font = `${fontWeight}${fontSize}px Arial`;
+function stopPlayback() {
+    if (playback) clearInterval(playback.timer);
+    playback = null;
+}
 
-    const lines = [];
-    // Ensure text lines are strings for measureText and fillText
-    if (textLine1 !== null && textLine1 !== undefined && String(textLine1).trim() !== "") lines.push(String(textLine1).trim());
-    if (textLine2 !== null && textLine2 !== undefined && String(textLine2).trim() !== "") lines.push(String(textLine2).trim());
-    if (lines.length === 0) lines.push(" ");
+// Moves the playing filter to its next point, going back to the first after the last
+function stepPlayback() {
+    const choices = viewer.layout.filterSlotChoices(viewer.boxes, playback.dimensionIndex);
+    const next = (choices.indexOf(viewer.layout.filterSlots[playback.dimensionIndex]) + 1) % choices.length;
+    setFilterSlot(playback.dimensionIndex, choices[next]);
+}
 
-    let maxWidth = 0;
-    lines.forEach(line => { const metrics = context.measureText(line); if (metrics.width > maxWidth) maxWidth = metrics.width; });
+// --- Before/After Comparison ---
+// The summary of changes and the viewport labels (side by side, the boxes before are on the left)
+function updateComparisonDisplay() {
+    const counts = viewer.comparisonCounts();
+    comparisonControls.hidden = !counts;
+    comparisonViewSelect.value = viewer.comparisonView;
+    viewLabels.hidden = viewer.comparisonView !== 'side';
+    if (!counts) return;
+    comparisonSummary.replaceChildren(...Object.keys(counts).map(change => {
+        const line = document.createElement('div');
+        const swatch = document.createElement('span'); swatch.className = 'swatch';
+        swatch.style.background = `#${colorHex(CHANGE_COLORS[change])}`;
+        line.append(swatch, `${CHANGE_NAMES[change]}: ${counts[change]}`);
+        return line;
+    }));
+}
 
-    const lineHeight = fontSize;
-    const lineSpacing = lineHeight * 0.3;
-    const totalTextHeight = (lines.length * lineHeight) + (Math.max(0, lines.length - 1) * lineSpacing);
-    const vPad = fontSize * 0.4; const hPad = fontSize * (bgColor ? 0.3 : 0.05);
+const colorHex = color => color.toString(16).padStart(6, '0');
 
-    canvas.width = Math.ceil(maxWidth + hPad * 2); canvas.height = Math.ceil(totalTextHeight + vPad * 2);
+// --- Value Colors and Legend ---
+// The legend lists the values: clicking one hides or shows its boxes, and "only" isolates it (or, when it is already
+// isolated, shows everything again).
+const MAX_LEGEND_ENTRIES = 100;
 
-    if (bgColor) {
-        context.fillStyle = bgColor; context.beginPath(); const r = fontSize / 2.5;
-        context.moveTo(r, 0); context.lineTo(canvas.width - r, 0); context.quadraticCurveTo(canvas.width, 0, canvas.width, r);
-        context.lineTo(canvas.width, canvas.height - r); context.quadraticCurveTo(canvas.width, canvas.height, canvas.width - r, canvas.height);
-        context.lineTo(r, canvas.height); context.quadraticCurveTo(0, canvas.height, 0, canvas.height - r);
-        context.lineTo(0, r); context.quadraticCurveTo(0, 0, r, 0); context.closePath(); context.fill();
-    }
+function updateColorControls() {
+    const canUseGradient = viewer.gradientAvailable();
+    Array.from(colorModeSelect.options).forEach(option => { if (option.value === 'gradient') option.disabled = !canUseGradient; });
+    colorModeSelect.title = canUseGradient ? "" : "The gradient needs a number for every value";
+    colorModeSelect.value = viewer.colorMode;
+    colorModeSelect.disabled = viewer.isComparing(); // boxes are colored by change instead
+    updateLegend();
+}
 
-    context.font = `${fontWeight}${fontSize}px Arial`; context.fillStyle = textColor;
-    context.textAlign = 'center'; context.textBaseline = 'middle';
-
-    let startY = canvas.height / 2 - totalTextHeight / 2 + lineHeight / 2;
-
-    lines.forEach((line, index) => context.fillText(line, canvas.width / 2, startY + index * (lineHeight + lineSpacing)));
-
-    const texture = new THREE.CanvasTexture(canvas); texture.needsUpdate = true;
-    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, sizeAttenuation: true });
-    const sprite = new THREE.Sprite(material);
-
-    const desiredSpriteWorldHeight = VISUAL_GRID_SPACING * 0.3 * (lines.length > 1 ? 1.4 : 1.0);
-    sprite.scale.set((desiredSpriteWorldHeight * canvas.width) / canvas.height, desiredSpriteWorldHeight, 1);
-    sprite.position.copy(position);
-    return sprite;
-}
-
-
-function createBoxVisual(boxData) {
-    const group = new THREE.Group(); group.userData.boxData = boxData;
-    const axisMap = {x: 0, y: 1, z: 2};
-    const displayMin = new THREE.Vector3( getDisplayCoord(boxData.minBounds[axisMap.x], 'x'), getDisplayCoord(boxData.minBounds[axisMap.y], 'y'), getDisplayCoord(boxData.minBounds[axisMap.z], 'z') );
-    const displayMax = new THREE.Vector3( getDisplayCoord(boxData.maxBounds[axisMap.x], 'x'), getDisplayCoord(boxData.maxBounds[axisMap.y], 'y'), getDisplayCoord(boxData.maxBounds[axisMap.z], 'z') );
-    const displayBox3 = new THREE.Box3(displayMin, displayMax);
-    const boxHelper = new THREE.Box3Helper(displayBox3, BOX_HELPER_COLOR); group.add(boxHelper);
-    const displayCenter = new THREE.Vector3(); displayBox3.getCenter(displayCenter);
-    const label = createTextLabel(boxData.text1, boxData.text2, displayCenter, LABEL_FONT_SIZE, LABEL_TEXT_COLOR, LABEL_BG_COLOR);
-    group.add(label); return group;
-}
-
-
-function createAxisVisuals() {
-    if (axisVisualsGroup) scene.remove(axisVisualsGroup);
-    axisVisualsGroup = new THREE.Group(); axisVisualsGroup.name = "AxisVisuals";
-
-    const formatLabel = val => (val === "+∞" ? "+∞" : (val === "-∞" ? "-∞" : val));
-    function addAxis(axisChar, color) {
-        const boundaries = axisBoundaryMaps[axisChar];
-        if (boundaries.length <= 1) return;
-        const visualLength = (boundaries.length - 1) * VISUAL_GRID_SPACING;
-        const linePoints = [new THREE.Vector3(), new THREE.Vector3()];
-        linePoints[1][axisChar] = visualLength;
-        axisVisualsGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(linePoints), new THREE.LineBasicMaterial({color})));
-        boundaries.forEach((boundaryValue, index) => {
-            const tickPos = new THREE.Vector3();
-            tickPos[axisChar] = index * VISUAL_GRID_SPACING;
-            const offset = new THREE.Vector3();
-            if (axisChar === 'x') { offset.y = -VISUAL_GRID_SPACING*0.2; }
-            else if (axisChar === 'y') { offset.x = -VISUAL_GRID_SPACING*0.2; }
-            else { offset.x = -VISUAL_GRID_SPACING*0.2; }
-            tickPos.add(offset);
-            const tickLabel = createTextLabel(formatLabel(boundaryValue), null, tickPos, AXIS_TICK_LABEL_FONT_SIZE, AXIS_TICK_LABEL_COLOR, null, false);
-            axisVisualsGroup.add(tickLabel);
-        });
-        const axisNamePos = new THREE.Vector3();
-        axisNamePos[axisChar] = visualLength + VISUAL_GRID_SPACING * 0.5;
-        const axisNameLabel = createTextLabel(axisChar.toUpperCase(), null, axisNamePos, AXIS_TICK_LABEL_FONT_SIZE*1.2, color, null, true);
-        axisVisualsGroup.add(axisNameLabel);
+function updateLegend() {
+    const entries = viewer.legendValues();
+    const { colorMode, numberRange, hiddenValues } = viewer;
+    legendPanel.hidden = entries.length === 0;
+    legendGradient.hidden = colorMode !== 'gradient';
+    if (colorMode === 'gradient') {
+        legendGradient.querySelector('.gradientBar').style.background =
+            `linear-gradient(to right, ${GRADIENT_STOPS.map(color => `#${color.getHexString()}`).join(", ")})`;
+        legendGradient.querySelector('.gradientMin').textContent = numberRange.min;
+        legendGradient.querySelector('.gradientMax').textContent = numberRange.max;
     }
-    addAxis('x', 0xff0000); addAxis('y', 0x00ff00); addAxis('z', 0x0000ff);
-    scene.add(axisVisualsGroup);
-}
-
-
-// --- Slice Logic ---
-function updateSlice() {
-    clearProjectionVisuals();
-    const axis = sliceAxisSelect.value;
-    const sliceIndex = parseInt(sliceCoordinateSlider.value);
-    if (axis === 'none' || !axisBoundaryMaps[axis] || isNaN(sliceIndex) || sliceIndex >= axisBoundaryMaps[axis].length) {
-        allVisualsGroup.children.forEach(c => c.visible = true);
-        projectionVisualsGroup.visible = false;
-        slicePlaneHelper.visible = false;
-        sliceAxisIntersectionDot.visible = false;
-        if (sliceCoordValueSpan) sliceCoordValueSpan.innerHTML = " ";
-        return;
+    legendEntries.replaceChildren(...entries.slice(0, MAX_LEGEND_ENTRIES).map(({ value, count, boxData }) => {
+        const item = document.createElement('li');
+        item.title = "Click to hide or show boxes with this value";
+        if (hiddenValues.has(value)) item.classList.add('hiddenValue');
+        const swatch = document.createElement('span'); swatch.className = 'swatch';
+        swatch.style.background = `#${viewer.valueColor(boxData).getHexString()}`;
+        swatch.style.visibility = viewer.isComparing() ? 'hidden' : ''; // boxes are colored by change instead
+        const name = document.createElement('span'); name.className = 'valueName';
+        name.textContent = value === "" ? "(no value)" : value;
+        const countSpan = document.createElement('span'); countSpan.className = 'valueCount'; countSpan.textContent = `(${count})`;
+        const onlyButton = document.createElement('button'); onlyButton.textContent = "only"; onlyButton.title = "Show only boxes with this value";
+        onlyButton.addEventListener('click', event => { event.stopPropagation(); viewer.isolateValue(value); updateLegend(); });
+        item.addEventListener('click', () => { viewer.toggleValue(value); updateLegend(); });
+        item.append(swatch, name, countSpan, onlyButton);
+        return item;
+    }));
+    if (entries.length > MAX_LEGEND_ENTRIES) {
+        const more = document.createElement('li');
+        more.textContent = `...and ${entries.length - MAX_LEGEND_ENTRIES} more`;
+        legendEntries.appendChild(more);
     }
-    updateSlicePlaneHelper(axis, sliceIndex);
-    const rawSliceValue = axisBoundaryMaps[axis][sliceIndex];
-    if (sliceCoordValueSpan) sliceCoordValueSpan.textContent = rawSliceValue;
-    const do2DProjection = show2DProjectionCheckbox.checked;
-    projectionVisualsGroup.visible = do2DProjection;
-    allVisualsGroup.children.forEach(visualGroup => {
-        const boxData = visualGroup.userData.boxData;
-        if (!boxData) return;
-        const axisMap = {x: 0, y: 1, z: 2};
-        const minIndex = axisBoundaryMaps[axis].indexOf(boxData.minBounds[axisMap[axis]]);
-        const maxIndex = axisBoundaryMaps[axis].indexOf(boxData.maxBounds[axisMap[axis]]);
-        const intersects = (minIndex <= sliceIndex && maxIndex >= sliceIndex);
-        if (do2DProjection) {
-            visualGroup.visible = false;
-            if (intersects) create2DProjection(boxData, axis, sliceIndex);
-        } else {
-            visualGroup.visible = intersects;
-        }
+}
+
+// --- Search ---
+// The search panel searches the values, with a predicate on the bounds of each axis. Clicking a match selects it and
+// flies the camera to it.
+const MAX_LISTED_MATCHES = 100;
+
+// Offers the boundaries of each axis (keeping the one chosen, if it is still there), and searches again
+function updateSearchControls() {
+    searchPanel.hidden = viewer.boxes.length === 0;
+    AXES.forEach(axis => {
+        searchKindSelects[axis].previousElementSibling.textContent = viewer.layout.axisTitle(axis);
+        const select = searchBoundarySelects[axis], chosen = select.value;
+        select.replaceChildren(...viewer.layout.boundaries[axis].map(boundary => {
+            const option = document.createElement('option'); option.value = option.textContent = boundary;
+            return option;
+        }));
+        if (viewer.layout.boundaries[axis].includes(chosen)) select.value = chosen;
     });
+    if (viewer.search) applySearch();
 }
 
-function clearProjectionVisuals() {
-    while (projectionVisualsGroup.children.length > 0) {
-        const child = projectionVisualsGroup.children[0];
-        projectionVisualsGroup.remove(child);
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-            if (child.material.map) child.material.map.dispose();
-            child.material.dispose();
-        }
+function applySearch() {
+    AXES.forEach(axis => searchBoundarySelects[axis].hidden = !SEARCH_PREDICATES[searchKindSelects[axis].value]?.takesBoundary);
+    const predicates = AXES.filter(axis => searchKindSelects[axis].value !== "" && !viewer.layout.isFlat(axis)).map(axis =>
+        ({ dimension: viewer.layout.axisDimensions[axis], kind: searchKindSelects[axis].value, boundary: searchBoundarySelects[axis].value }));
+    try {
+        viewer.setSearch({ text: searchTextInput.value, regex: searchRegexCheckbox.checked, predicates });
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        searchCount.textContent = error.message;
+        searchCount.classList.add('searchError');
+        searchMatchList.hidden = true;
     }
 }
 
-function create2DProjection(boxData, axis, sliceIndex) {
-    const axisMap = {x: 0, y: 1, z: 2};
-    const otherAxes = ['x', 'y', 'z'].filter(a => a !== axis);
-    const uAxis = otherAxes[0]; const vAxis = otherAxes[1];
-    const displayMinU = getDisplayCoord(boxData.minBounds[axisMap[uAxis]], uAxis);
-    const displayMaxU = getDisplayCoord(boxData.maxBounds[axisMap[uAxis]], uAxis);
-    const displayMinV = getDisplayCoord(boxData.minBounds[axisMap[vAxis]], vAxis);
-    const displayMaxV = getDisplayCoord(boxData.maxBounds[axisMap[vAxis]], vAxis);
-    const displaySliceCoord = getDisplayCoord(axisBoundaryMaps[axis][sliceIndex], axis);
-    const outlinePoints = []; const p1 = new THREE.Vector3();
-    p1[uAxis] = displayMinU; p1[vAxis] = displayMinV; p1[axis] = displaySliceCoord;
-    const p2 = new THREE.Vector3(); p2[uAxis] = displayMaxU; p2[vAxis] = displayMinV; p2[axis] = displaySliceCoord;
-    const p3 = new THREE.Vector3(); p3[uAxis] = displayMaxU; p3[vAxis] = displayMaxV; p3[axis] = displaySliceCoord;
-    const p4 = new THREE.Vector3(); p4[uAxis] = displayMinU; p4[vAxis] = displayMaxV; p4[axis] = displaySliceCoord;
-    outlinePoints.push(p1,p2,p3,p4);
-    const outlineGeom = new THREE.BufferGeometry().setFromPoints(outlinePoints);
-    const outlineMat = new THREE.LineBasicMaterial({ color: PROJECTION_OUTLINE_COLOR });
-    const outline = new THREE.LineLoop(outlineGeom, outlineMat);
-    outline.renderOrder = 1; projectionVisualsGroup.add(outline);
-    const worldCenter = new THREE.Vector3(); new THREE.Box3().setFromPoints(outlinePoints).getCenter(worldCenter);
-    worldCenter[axis] += 0.02;
-    const projLabel = createTextLabel(boxData.text1, boxData.text2, worldCenter, LABEL_FONT_SIZE, PROJECTION_OUTLINE_COLOR, null, false );
-    projLabel.renderOrder = 2; projectionVisualsGroup.add(projLabel);
-}
-
-function updateSlicePlaneHelper(axis, sliceIndex) {
-    const isHelperVisible = (showSlicePlaneCheckbox.checked || show2DProjectionCheckbox.checked) && axis !== 'none';
-    slicePlaneHelper.visible = isHelperVisible;
-    sliceAxisIntersectionDot.visible = isHelperVisible;
-    if (!isHelperVisible) return;
-
-    const displayCoord = sliceIndex * VISUAL_GRID_SPACING;
-    const vizSizeX = (axisBoundaryMaps.x.length - 1) * VISUAL_GRID_SPACING;
-    const vizSizeY = (axisBoundaryMaps.y.length - 1) * VISUAL_GRID_SPACING;
-    const vizSizeZ = (axisBoundaryMaps.z.length - 1) * VISUAL_GRID_SPACING;
-    let planeWidth, planeHeight;
-    if (axis === 'x') { planeWidth = vizSizeY; planeHeight = vizSizeZ; }
-    else if (axis === 'y') { planeWidth = vizSizeX; planeHeight = vizSizeZ; }
-    else { planeWidth = vizSizeX; planeHeight = vizSizeY; }
-    if (slicePlaneHelper.geometry.parameters.width !== planeWidth + VISUAL_GRID_SPACING || slicePlaneHelper.geometry.parameters.height !== planeHeight + VISUAL_GRID_SPACING) {
-        if (slicePlaneHelper.geometry) slicePlaneHelper.geometry.dispose();
-        slicePlaneHelper.geometry = new THREE.PlaneGeometry(planeWidth + VISUAL_GRID_SPACING, planeHeight + VISUAL_GRID_SPACING);
+function clearSearch() {
+    searchTextInput.value = "";
+    searchRegexCheckbox.checked = false;
+    AXES.forEach(axis => searchKindSelects[axis].value = "");
+    applySearch();
+}
+
+function showSearchMatches({ active, matches }) {
+    searchCount.classList.remove('searchError');
+    searchCount.textContent = active ? `${matches.length} ${matches.length === 1 ? "match" : "matches"}` : "";
+    searchMatchList.hidden = !active || matches.length === 0;
+    if (searchMatchList.hidden) return;
+    searchMatchList.replaceChildren(...matches.slice(0, MAX_LISTED_MATCHES).map(boxData => {
+        const item = document.createElement('li');
+        item.textContent = boxData.text1 === "" ? "(no value)" : boxData.text1;
+        item.title = viewer.layout.dimensions.map((dimension, d) => `${dimension.name}: ${boundsText(boxData, d)}`).join("\n");
+        item.addEventListener('click', () => { viewer.select(boxData); viewer.flyTo(boxData); });
+        return item;
+    }));
+    if (matches.length > MAX_LISTED_MATCHES) {
+        const more = document.createElement('li'); more.className = 'moreMatches';
+        more.textContent = `...and ${matches.length - MAX_LISTED_MATCHES} more`;
+        searchMatchList.appendChild(more);
     }
-    const helperPosition = new THREE.Vector3(vizSizeX/2, vizSizeY/2, vizSizeZ/2);
-    helperPosition[axis] = displayCoord;
-    slicePlaneHelper.position.copy(helperPosition);
-    slicePlaneHelper.rotation.set(0,0,0);
-    if (axis === 'x') slicePlaneHelper.rotation.y = Math.PI / 2;
-    else if (axis === 'y') slicePlaneHelper.rotation.x = Math.PI / 2;
-    const dotPosition = new THREE.Vector3();
-    dotPosition[axis] = displayCoord;
-    sliceAxisIntersectionDot.position.copy(dotPosition);
-}
-
-function updateSliderRange() {
-    const axis = sliceAxisSelect.value;
-    if (axis === 'none' || !axisBoundaryMaps[axis] || axisBoundaryMaps[axis].length <= 1) {
-        sliceCoordinateSlider.disabled = true; sliceCoordinateSlider.min = 0; sliceCoordinateSlider.max = 0;
-    } else {
-        sliceCoordinateSlider.disabled = false;
-        sliceCoordinateSlider.min = 0;
-        sliceCoordinateSlider.max = axisBoundaryMaps[axis].length - 1;
-        sliceCoordinateSlider.step = 1;
-        if (parseInt(sliceCoordinateSlider.value) > sliceCoordinateSlider.max) sliceCoordinateSlider.value = sliceCoordinateSlider.max;
+}
+
+// --- Diagnostics ---
+// Lists the problems of each kind, with their counts. Clicking one flies the camera to it (selecting the first box
+// involved, if any).
+const MAX_LISTED_PROBLEMS = 100;
+
+function showDiagnostics({ enabled, report }) {
+    showDiagnosticsCheckbox.checked = enabled;
+    diagnosticsPanel.hidden = !enabled;
+    if (!enabled) return;
+    const opened = new Set([...diagnosticsContent.querySelectorAll('details[open]')].map(section => section.dataset.kind)); // kept open
+    const sections = Object.entries(PROBLEM_KINDS).filter(([kind]) => report[kind].count > 0).map(([kind, { name }]) => {
+        const { count, problems } = report[kind];
+        const section = document.createElement('details'); section.dataset.kind = kind; section.open = opened.has(kind);
+        const summary = document.createElement('summary');
+        const swatch = document.createElement('span'); swatch.className = 'swatch'; swatch.style.background = `#${colorHex(DIAGNOSTIC_COLORS[kind])}`;
+        summary.append(swatch, `${name} (${count})`);
+        const list = document.createElement('ul');
+        list.append(...problems.slice(0, MAX_LISTED_PROBLEMS).map(problem => {
+            const item = document.createElement('li');
+            item.textContent = problemText(kind, problem);
+            item.addEventListener('click', () => { if (problem.boxes) viewer.select(problem.boxes[0]); viewer.flyToRegion(problem.region); });
+            return item;
+        }));
+        if (count > MAX_LISTED_PROBLEMS) {
+            const more = document.createElement('li'); more.className = 'moreProblems';
+            more.textContent = `...and ${count - MAX_LISTED_PROBLEMS} more`;
+            list.appendChild(more);
+        }
+        section.append(summary, list);
+        return section;
+    });
+    const notes = [];
+    if (sections.length === 0) notes.push(report.gapsChecked ? "No problems found" : "No overlaps or compressible neighbors found");
+    if (!report.gapsChecked) notes.push("Gaps weren't looked for: there are too many boundaries");
+    diagnosticsContent.replaceChildren(...sections, ...notes.map(text => {
+        const note = document.createElement('div'); note.className = 'note'; note.textContent = text;
+        return note;
+    }));
+}
+
+function problemText(kind, { region, boxes }) {
+    const where = regionText(region, viewer.layout);
+    if (kind === 'overlaps') return `${boxes[0].text1} and ${boxes[1].text1}: ${where}`;
+    if (kind === 'compressible') return `${boxes[0].text1}: ${where}`;
+    return where;
+}
+
+// --- Error Overlay ---
+function showErrorOverlay(error, title = "Could not load data") {
+    const problems = error instanceof DataDocumentError ? error.problems : [error.message || String(error)];
+    errorTitle.textContent = error instanceof DataDocumentError ? `Could not load data from ${error.source}` : title;
+    errorMessages.replaceChildren(...problems.slice(0, MAX_REPORTED_PROBLEMS).map(problem => {
+        const item = document.createElement('li'); item.textContent = problem; return item;
+    }));
+    if (problems.length > MAX_REPORTED_PROBLEMS) {
+        const more = document.createElement('li');
+        more.textContent = `...and ${problems.length - MAX_REPORTED_PROBLEMS} more`;
+        errorMessages.appendChild(more);
     }
+    errorOverlay.hidden = false;
 }
 
-// --- Mouse Dragging Logic for Ordinal Slicing ---
-function onDocumentMouseDown(event) {
-    event.preventDefault();
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+function hideErrorOverlay() { errorOverlay.hidden = true; }
+
+// --- Slice Controls ---
+function onSliceChanged(event) {
+    const { axis, index, boundary, indexOnly } = event.detail;
+    sliceAxisSelect.value = axis ?? 'none'; // the slice may be changed by keys, or by a view in the URL
+    updateSliderRange(axis);
+    sliceCoordinateSlider.value = index;
+    if (axis) sliceCoordValueSpan.textContent = boundary;
+    else sliceCoordValueSpan.innerHTML = " ";
+    updateSlicePanel(event.detail, !indexOnly);
+    scheduleViewHash();
+}
 
-    const currentSliceAxis = sliceAxisSelect.value;
-    if (currentSliceAxis === 'none' || !slicePlaneHelper.visible) return;
+function updateSliderRange(axis) {
+    const boundaries = axis ? viewer.layout.boundaries[axis] : [];
+    sliceCoordinateSlider.disabled = boundaries.length <= 1;
+    sliceCoordinateSlider.min = 0;
+    sliceCoordinateSlider.max = Math.max(0, boundaries.length - 1);
+    sliceCoordinateSlider.step = 1;
+}
 
-    const intersects = raycaster.intersectObject(slicePlaneHelper, false);
+// --- View in the URL ---
+// The camera and the slice are kept in the URL hash (e.g., "#camera=9,7,9&target=3,2,3&slice=x&at=blue"), so a view
+// can be bookmarked and shared. The view in the URL when the page opens is applied once the data is first loaded.
+const VIEW_HASH_DELAY_MS = 250; // browsers limit how often the URL can be replaced, so it waits for the view to settle
+let initialViewHash = window.location.hash.length > 1 ? new URLSearchParams(window.location.hash.slice(1)) : null;
+let viewHashTimer = null;
 
-    if (intersects.length > 0) {
-        isDraggingSlicePlane = true;
-        controls.enabled = false;
-        renderer.domElement.style.cursor = 'grabbing';
+function onCameraMoved(event) {
+    projectionSelect.value = event.detail.projection;
+    scheduleViewHash();
+}
 
-        dragActiveAxis = currentSliceAxis;
-        dragInitialIndex = parseInt(sliceCoordinateSlider.value);
-        dragStartPointOnHelper.copy(intersects[0].point); // World space intersection
+function scheduleViewHash() {
+    clearTimeout(viewHashTimer);
+    viewHashTimer = setTimeout(writeViewHash, VIEW_HASH_DELAY_MS);
+}
 
-        camera.getWorldDirection(dragPlane.normal);
-        dragPlane.setFromNormalAndCoplanarPoint(dragPlane.normal, dragStartPointOnHelper);
-    }
+function writeViewHash() {
+    const { position, target, projection, zoom } = viewer.getCamera();
+    const rounded = values => values.map(value => Number(value.toFixed(3))).join(",");
+    const params = new URLSearchParams({ camera: rounded(position), target: rounded(target) });
+    if (projection === 'orthographic') { params.set('projection', projection); params.set('zoom', rounded([zoom])); }
+    const { axis, boundary } = viewer.getSlice();
+    if (axis) { params.set('slice', axis); params.set('at', boundary); }
+    history.replaceState(null, "", `#${params.toString().replaceAll("%2C", ",")}`); // commas are fine in a hash
+}
+
+// Anything missing or invalid in the hash is left as it is
+function applyViewHash(params) {
+    const vector = name => {
+        const values = params.get(name)?.split(",").map(Number);
+        return values?.length === 3 && values.every(Number.isFinite) ? values : undefined;
+    };
+    const projection = ['perspective', 'orthographic'].find(name => name === params.get('projection'));
+    const zoom = Number(params.get('zoom'));
+    viewer.setCamera({ position: vector('camera'), target: vector('target'), projection, zoom: zoom > 0 ? zoom : undefined });
+    const axis = AXES.find(name => name === params.get('slice'));
+    const index = axis ? viewer.layout.boundaries[axis].indexOf(params.get('at')) : -1;
+    if (index >= 0) viewer.setSlice(axis, index);
+}
+
+// --- Inspection ---
+// Hovering over a box shows its value and interval in a tooltip, and clicking it pins them in the inspector
+function showTooltip({ boxData, clientX, clientY }) {
+    if (!boxData) { tooltipElement.hidden = true; return; }
+    tooltipElement.replaceChildren(...describeBox(boxData, false));
+    tooltipElement.style.left = `${clientX + 12}px`;
+    tooltipElement.style.top = `${clientY + 12}px`;
+    tooltipElement.hidden = false;
 }
 
-function onDocumentMouseMove(event) {
-    event.preventDefault();
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+function showInspector(boxData) {
+    inspectorPanel.hidden = !boxData;
+    if (boxData) inspectorContent.replaceChildren(...describeBox(boxData, true));
+}
 
-    if (!isDraggingSlicePlane && sliceAxisSelect.value !== 'none' && slicePlaneHelper.visible) {
-        raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObject(slicePlaneHelper, false);
-        renderer.domElement.style.cursor = intersects.length > 0 ? 'grab' : 'default';
+// Elements describing the value and interval of a box, with the bounds of each axis when detailed
+function describeBox(boxData, detailed) {
+    const row = (name, text) => {
+        const line = document.createElement('div');
+        const nameSpan = document.createElement('span'); nameSpan.className = 'fieldName'; nameSpan.textContent = `${name}: `;
+        line.append(nameSpan, text);
+        return line;
+    };
+    const comparing = viewer.isComparing();
+    const rows = [row("Value", boxData.text1)];
+    if (boxData.values) rows.push(row("Values", boxData.values.join(", ")));
+    if (detailed && boxData.number !== undefined) rows.push(row("Number", String(boxData.number)));
+    if (boxData.text2) rows.push(row("Interval", boxData.text2));
+    if (comparing && boxData.change) rows.push(row("Change", changeText(boxData)));
+    if (comparing && boxData.previous) {
+        if (boxData.previous.text1 !== boxData.text1) rows.push(row("Value Before", boxData.previous.text1));
+        if (boxData.previous.text2 !== boxData.text2) rows.push(row("Interval Before", boxData.previous.text2));
     }
+    if (detailed) viewer.layout.dimensions.forEach((dimension, d) => rows.push(row(dimension.name, boundsText(boxData, d))));
+    return rows;
+}
 
-    if (!isDraggingSlicePlane) return;
+// --- Point Probe ---
+// Lists every value valid at the probe, including every element of a DataMulti set
+function showProbe({ enabled, shown, slots, pointSlots, boxes }) {
+    showProbeCheckbox.checked = enabled;
+    probeControls.hidden = !enabled;
+    probePanel.hidden = !shown;
+    if (!shown) return;
+    AXES.forEach(axis => {
+        probeSliders[axis].max = 2 * (viewer.layout.boundaries[axis].length - 1);
+        probeSliders[axis].value = slots[axis];
+    });
+    probePoint.replaceChildren(...viewer.layout.dimensions.map((dimension, d) => {
+        const line = document.createElement('div'); line.textContent = `${dimension.name}: ${viewer.layout.slotText(d, pointSlots[d])}`;
+        return line;
+    }));
+    const items = boxes.flatMap(boxData => (boxData.values || [boxData.text1]).map(value => {
+        const item = document.createElement('li'); item.title = boxData.text2;
+        const changed = viewer.isComparing() && boxData.change && boxData.change !== 'unchanged';
+        item.textContent = changed ? `${value} (${changeText(boxData)})` : value;
+        return item;
+    }));
+    if (items.length === 0) {
+        const none = document.createElement('li'); none.className = 'noValue'; none.textContent = "No value is valid here";
+        items.push(none);
+    }
+    probeValues.replaceChildren(...items);
+}
 
-    raycaster.setFromCamera(mouse, camera);
-    if (raycaster.ray.intersectPlane(dragPlane, planeIntersectPoint)) {
-        const dragVector = planeIntersectPoint.clone().sub(dragStartPointOnHelper);
-        let displacement = 0;
-        if (dragActiveAxis === 'x') displacement = dragVector.x;
-        else if (dragActiveAxis === 'y') displacement = dragVector.y;
-        else if (dragActiveAxis === 'z') displacement = dragVector.z;
+// --- Clipping Box ---
+function showClipping({ enabled, ranges }) {
+    clipEnabledCheckbox.checked = enabled;
+    clipControls.hidden = !enabled;
+    if (!enabled) return;
+    AXES.forEach(axis => {
+        const boundaries = viewer.layout.boundaries[axis];
+        clipSliders[axis].forEach((slider, s) => {
+            slider.max = Math.max(0, boundaries.length - 1);
+            slider.value = ranges[axis][s];
+        });
+        clipRangeTexts[axis].textContent = boundaries.length > 0 ? `[${boundaries[ranges[axis][0]]}..${boundaries[ranges[axis][1]]}]` : "";
+    });
+}
 
-        // Convert continuous displacement to discrete index change
-        const indexChange = Math.round(displacement / VISUAL_GRID_SPACING);
+// --- Slice Panel ---
+// The slice, drawn flat in a docked panel (like Visualize2D), where it is easier to read than the projection in the 3D
+// scene. The small multiples draw the slice at every boundary of the slice axis at once: clicking one moves the slice there.
+const SLICE_PANEL_WIDTH = 420, SLICE_PANEL_HEIGHT = 300, SLICE_PANEL_MARGIN = 40;
+const THUMBNAIL_SIZE = 96, THUMBNAIL_MARGIN = 4;
+const MAX_SMALL_MULTIPLES = 100;
+const SLICE_TICK_GAP_PX = 6; // between neighboring tick labels
+
+// The ticks of the slice to label, thinned so their labels (in the context's font) keep apart
+function thinnedSliceTicks(drawing, context, lineHeight) {
+    const widest = Math.max(0, ...drawing.uTicks.map(({ label }) => context.measureText(label).width));
+    const keep = (ticks, spacing, sign) => thinnedTickIndexes(ticks.map(({ at }) => sign * at), spacing).map(index => ticks[index]);
+    return { uTicks: keep(drawing.uTicks, widest + SLICE_TICK_GAP_PX, 1), vTicks: keep(drawing.vTicks, lineHeight + SLICE_TICK_GAP_PX, -1) }; // v runs up the page
+}
 
-        const sliderMax = parseInt(sliceCoordinateSlider.max);
-        const sliderMin = parseInt(sliceCoordinateSlider.min);
-        let newIndex = dragInitialIndex + indexChange;
+// Draws the slice on a canvas, with its axes, ticks, and labels unless it is a thumbnail
+function drawSlice(canvas, drawing, thumbnail) {
+    const context = prepareCanvas(canvas, drawing.width, drawing.height);
+    context.fillStyle = '#222222'; context.fillRect(0, 0, drawing.width, drawing.height);
+    const { origin, uEnd, vEnd } = drawing;
+    const strokeLine = (x1, y1, x2, y2, color, dashed) => {
+        context.strokeStyle = color; context.setLineDash(dashed ? [6, 4] : []);
+        context.beginPath(); context.moveTo(x1, y1); context.lineTo(x2, y2); context.stroke();
+    };
+    if (!thumbnail) {
+        strokeLine(origin.x, origin.y, uEnd, origin.y, '#ff0000', false);
+        strokeLine(origin.x, origin.y, origin.x, vEnd, '#00ff00', false);
+        context.font = '11px Arial'; context.fillStyle = AXIS_TICK_LABEL_COLOR;
+        const { uTicks, vTicks } = thinnedSliceTicks(drawing, context, 11);
+        context.textAlign = 'center'; context.textBaseline = 'top';
+        uTicks.forEach(({ label, at }) => context.fillText(label, at, origin.y + 4));
+        context.textAlign = 'right'; context.textBaseline = 'middle';
+        vTicks.forEach(({ label, at }) => context.fillText(label, origin.x - 4, at));
+        context.font = 'bold 12px Arial'; context.fillStyle = 'white';
+        context.textAlign = 'right'; context.textBaseline = 'top';
+        context.fillText(viewer.layout.axisTitle(drawing.uAxis), uEnd, origin.y + 20);
+        context.textAlign = 'left'; context.textBaseline = 'bottom';
+        context.fillText(viewer.layout.axisTitle(drawing.vAxis), 4, vEnd - 8);
+    }
+    drawing.boxes.forEach(({ boxData, color, minU, maxU, minV, maxV, sides }) => {
+        context.globalAlpha = PROJECTION_FILL_OPACITY; context.fillStyle = color;
+        context.fillRect(minU, maxV, maxU - minU, minV - maxV);
+        context.globalAlpha = 1;
+        sides.forEach(([x1, y1, x2, y2, open]) => strokeLine(x1, y1, x2, y2, color, open));
+        if (thumbnail) return;
+        // Labels are clipped to their box, so they don't run into each other
+        context.save();
+        context.beginPath(); context.rect(minU, maxV, maxU - minU, minV - maxV); context.clip();
+        context.fillStyle = LABEL_TEXT_COLOR; context.textAlign = 'center'; context.textBaseline = 'middle';
+        const centerU = (minU + maxU) / 2, centerV = (minV + maxV) / 2;
+        context.font = 'bold 12px Arial'; context.fillText(boxData.text1, centerU, boxData.text2 ? centerV - 7 : centerV);
+        if (boxData.text2) { context.font = '10px Arial'; context.fillText(boxData.text2, centerU, centerV + 7); }
+        context.restore();
+    });
+    context.setLineDash([]);
+}
 
-        // Clamp the new index to the slider's bounds
-        newIndex = Math.max(sliderMin, Math.min(sliderMax, newIndex));
+// Redraws the panel and (unless only the slice index changed, which just moves the highlight) the small multiples
+function updateSlicePanel({ axis, index, boundary }, redrawSmallMultiples) {
+    slicePanel.hidden = !axis || (!showSlicePanelCheckbox.checked && !showSmallMultiplesCheckbox.checked);
+    slicePanelCanvas.hidden = !showSlicePanelCheckbox.checked;
+    smallMultiples.hidden = !showSmallMultiplesCheckbox.checked;
+    if (slicePanel.hidden) return;
+    slicePanelTitle.textContent = `${viewer.layout.axisTitle(axis)}: ${boundary}`;
+    if (showSlicePanelCheckbox.checked) {
+        const scale = viewer.layout.sliceScale(axis, SLICE_PANEL_WIDTH, SLICE_PANEL_HEIGHT, SLICE_PANEL_MARGIN);
+        drawSlice(slicePanelCanvas, viewer.sliceDrawing(axis, index, scale, SLICE_PANEL_MARGIN), false);
+    }
+    if (!showSmallMultiplesCheckbox.checked) return;
+    if (redrawSmallMultiples || smallMultiples.dataset.axis !== axis) drawSmallMultiples(axis);
+    smallMultiples.querySelectorAll('.thumbnail').forEach((thumbnail, thumbnailIndex) => thumbnail.classList.toggle('current', thumbnailIndex === index));
+}
 
-        if (newIndex !== parseInt(sliceCoordinateSlider.value)) {
-            sliceCoordinateSlider.value = newIndex;
-            updateSlice();
-        }
+function drawSmallMultiples(axis) {
+    const boundaries = viewer.layout.boundaries[axis];
+    const scale = viewer.layout.sliceScale(axis, THUMBNAIL_SIZE, THUMBNAIL_SIZE, THUMBNAIL_MARGIN);
+    smallMultiples.dataset.axis = axis;
+    smallMultiples.replaceChildren(...boundaries.slice(0, MAX_SMALL_MULTIPLES).map((boundary, index) => {
+        const thumbnail = document.createElement('div'); thumbnail.className = 'thumbnail';
+        thumbnail.title = `Move the slice to ${boundary}`;
+        const canvas = document.createElement('canvas');
+        drawSlice(canvas, viewer.sliceDrawing(axis, index, scale, THUMBNAIL_MARGIN), true);
+        const caption = document.createElement('div'); caption.className = 'caption'; caption.textContent = viewer.layout.tickLabels(axis)[index];
+        thumbnail.append(canvas, caption);
+        thumbnail.addEventListener('click', () => viewer.setSlice(axis, index));
+        return thumbnail;
+    }));
+    if (boundaries.length > MAX_SMALL_MULTIPLES) {
+        const more = document.createElement('div');
+        more.textContent = `...and ${boundaries.length - MAX_SMALL_MULTIPLES} more`;
+        smallMultiples.appendChild(more);
     }
 }
 
-function onDocumentMouseUp(event) {
-    if (isDraggingSlicePlane) {
-        isDraggingSlicePlane = false;
-        controls.enabled = true;
-        renderer.domElement.style.cursor = (sliceAxisSelect.value !== 'none' && slicePlaneHelper.visible) ? 'grab' : 'default';
+// --- Export ---
+// The current view can be saved as a PNG image (rendered at any size), the slice as an SVG drawing, the boxes as a glTF
+// scene, or everything as an offline HTML file: a copy of the viewer with the data, the viewer code, and three.js
+// embedded, so it can be opened later (e.g., from a bug ticket) without a network connection or the Visualize3D server.
+const SVG_SCALE = 40; // pixels per display unit
+const SVG_MARGIN = 80;
+const EMBEDDED_DOCUMENT_ID = 'embeddedDocument';
+// Every module the viewer imports through the import map, which the offline copy embeds in its import map
+const OFFLINE_MODULES = ['three', 'three/addons/controls/OrbitControls.js', 'three/addons/exporters/GLTFExporter.js'];
+const LOCAL_IMPORT = /from '(\.\.?\/[\w./-]+\.js)'/g; // how the viewer modules (and addons) import each other
+
+async function runExport(exportView) {
+    try { await exportView(); }
+    catch (error) { console.error("Error exporting:", error); showErrorOverlay(error, "Could not export"); }
+}
+
+function exportFileName(extension) {
+    const name = document.title.trim().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${name || 'intervalidus'}.${extension}`;
+}
+
+function download(fileName, url) {
+    const link = document.createElement('a');
+    link.href = url; link.download = fileName;
+    document.body.appendChild(link); link.click(); link.remove();
+}
+
+function downloadBlob(fileName, parts, type) {
+    const url = URL.createObjectURL(new Blob(parts, { type }));
+    download(fileName, url);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportPng(width, height) { download(exportFileName('png'), viewer.toPng(width, height)); }
+
+// The slice as it is projected, drawn flat (see Viewer.sliceDrawing), or flat data as a whole (the slice of its flat Z-axis)
+function sliceSvg() {
+    const flat = viewer.isFlat();
+    const { axis, index, boundary } = flat ? { axis: 'z', index: 0 } : viewer.getSlice();
+    if (!axis) throw new Error("Choose a slice axis to export the slice");
+    const drawing = viewer.sliceDrawing(axis, index, SVG_SCALE, SVG_MARGIN);
+    const { width, height, origin, uEnd, vEnd } = drawing;
+    const axisTitle = otherAxis => viewer.layout.axisTitle(otherAxis);
+    const text = (content, attributes) => `<text ${attributes}>${escapeXml(content)}</text>`;
+    const line = (x1, y1, x2, y2, attributes) => `<line x1="${x1.toFixed(1)}" y1="${y1.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}" ${attributes}/>`;
+    const elements = [];
+    elements.push(line(origin.x, origin.y, uEnd, origin.y, 'stroke="#ff0000"'));
+    elements.push(line(origin.x, origin.y, origin.x, vEnd, 'stroke="#00ff00"'));
+    const measuring = document.createElement('canvas').getContext('2d');
+    measuring.font = '12px Arial'; // as .tick is styled
+    const { uTicks, vTicks } = thinnedSliceTicks(drawing, measuring, 12);
+    uTicks.forEach(({ label, at }) => elements.push(text(label, `x="${at.toFixed(1)}" y="${origin.y + 20}" text-anchor="middle" class="tick"`)));
+    vTicks.forEach(({ label, at }) => elements.push(text(label, `x="${origin.x - 10}" y="${at.toFixed(1)}" text-anchor="end" dominant-baseline="middle" class="tick"`)));
+    elements.push(text(axisTitle(drawing.uAxis), `x="${uEnd.toFixed(1)}" y="${origin.y + 45}" text-anchor="end" class="axis"`));
+    elements.push(text(axisTitle(drawing.vAxis), `x="${origin.x - 10}" y="${(vEnd - 20).toFixed(1)}" text-anchor="end" class="axis"`));
+    elements.push(text(flat ? document.title : `${axisTitle(axis)}: ${boundary}`, `x="${width / 2}" y="30" text-anchor="middle" class="axis"`));
+    drawing.boxes.forEach(({ boxData, color, minU, maxU, minV, maxV, sides }) => {
+        elements.push(`<rect x="${minU.toFixed(1)}" y="${maxV.toFixed(1)}" width="${(maxU - minU).toFixed(1)}" height="${(minV - maxV).toFixed(1)}" fill="${color}" fill-opacity="${PROJECTION_FILL_OPACITY}"/>`);
+        sides.forEach(([x1, y1, x2, y2, open]) => elements.push(line(x1, y1, x2, y2, `stroke="${color}"${open ? ' stroke-dasharray="6 4"' : ''}`)));
+        const centerU = (minU + maxU) / 2, centerV = (minV + maxV) / 2;
+        elements.push(text(boxData.text1, `x="${centerU.toFixed(1)}" y="${centerV.toFixed(1)}" text-anchor="middle" class="label"`));
+        if (boxData.text2) elements.push(text(boxData.text2, `x="${centerU.toFixed(1)}" y="${(centerV + 16).toFixed(1)}" text-anchor="middle" class="interval"`));
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<style>text { font-family: Arial, sans-serif; } .tick { font-size: 12px; fill: lightgray; } .axis { font-size: 16px; font-weight: bold; fill: white; }
+.label { font-size: 14px; font-weight: bold; fill: white; } .interval { font-size: 11px; fill: white; }</style>
+<rect width="100%" height="100%" fill="#222222"/>
+${elements.join("\n")}
+</svg>
+`;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function exportSliceSvg() { downloadBlob(exportFileName('svg'), [sliceSvg()], 'image/svg+xml'); }
+
+async function exportGltf() { downloadBlob(exportFileName('glb'), [await viewer.toGltf()], 'model/gltf-binary'); }
+
+// The viewer page with its import map pointing to embedded copies of the modules, the page code inline, and the data.
+// Inline scripts can't hold "</script", so it is escaped (as "<\/script" in code, and "\u003c" in JSON).
+async function exportOfflineHtml() {
+    const fetchText = async url => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not fetch ${url}: HTTP ${response.status} ${response.statusText}`);
+        return response.text();
+    };
+    const dataUrl = code => `data:text/javascript;charset=utf-8,${encodeURIComponent(code).replace(/'/g, '%27')}`;
+    const pageUrl = new URL('index.html', import.meta.url);
+    const page = new DOMParser().parseFromString(await fetchText(pageUrl), 'text/html');
+    const importMapScript = page.querySelector('script[type="importmap"]');
+    const { imports } = JSON.parse(importMapScript.textContent);
+    const moduleUrl = specifier => imports[specifier] ?? Object.entries(imports)
+        .filter(([prefix]) => prefix.endsWith('/') && specifier.startsWith(prefix))
+        .map(([prefix, target]) => target + specifier.slice(prefix.length))[0];
+    // A data URL has no base for relative imports, so modules import embedded copies of each other instead (like the
+    // viewer modules do, and addons such as the glTF exporter, which imports a module of utilities)
+    const embeddedModules = new Map(); // URL -> data URL
+    const withEmbeddedImports = async (code, baseUrl) => {
+        let embeddedCode = code;
+        for (const [, path] of code.matchAll(LOCAL_IMPORT)) {
+            const url = new URL(path, baseUrl).href;
+            if (!embeddedModules.has(url)) embeddedModules.set(url, dataUrl(await withEmbeddedImports(await fetchText(url), url)));
+            embeddedCode = embeddedCode.replaceAll(`from '${path}'`, `from '${embeddedModules.get(url)}'`);
+        }
+        return embeddedCode;
+    };
+    const embeddedImports = {};
+    for (const specifier of OFFLINE_MODULES) {
+        const url = new URL(moduleUrl(specifier), pageUrl);
+        embeddedImports[specifier] = dataUrl(await withEmbeddedImports(await fetchText(url), url));
     }
+    importMapScript.textContent = JSON.stringify({ imports: embeddedImports });
+    const appScript = page.querySelector('script[type="module"][src]');
+    const appUrl = new URL(appScript.getAttribute('src'), pageUrl);
+    const appCode = await withEmbeddedImports(await fetchText(appUrl), appUrl);
+    appScript.removeAttribute('src');
+    appScript.textContent = appCode.replace(/<\/script/gi, '<\\/script');
+    const documentScript = page.createElement('script');
+    documentScript.type = 'application/json'; documentScript.id = EMBEDDED_DOCUMENT_ID;
+    documentScript.textContent = JSON.stringify(currentDataDocument()).replace(/</g, '\\u003c');
+    appScript.before(documentScript);
+    downloadBlob(exportFileName('html'), ['<!DOCTYPE html>\n', page.documentElement.outerHTML], 'text/html');
 }
 
-// --- Animation Loop & Resize ---
-function animate() { requestAnimationFrame(animate); if(controls.enableDamping) controls.update(); renderer.render(scene, camera); }
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight; camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-}
\ No newline at end of file
+// The data as a version 2 document, with the page title
+function currentDataDocument() { return { ...viewer.dataDocument(), title: document.title }; }
+
+// --- Main ---
+// Last, so that everything declared above is initialized first
+init();
+loadInitialData();
@@ -0,0 +1,164 @@
+// Structural diagnostics of the 3D viewer (see viewer.js), for hunting down broken invariants: boxes that overlap (which
+// must never happen in Data, and matters in DataMulti), gaps that no box covers inside the region the boxes span, and
+// adjacent boxes with equal values that compress would merge.
+
+import { AXES, boundaryIndex } from './layout.js';
+
+// Problems are found on the displayed axes, among the boxes that pass the filters (so with versioned data, at the
+// version filtered on). On each axis, a box (or a problem) covers the slots from its lo slot to its hi slot, inclusive
+// (see the Slots section of layout.js), e.g., "[a..b)" covers the slot at a up to the one between b and the boundary
+// before it. A region is { lo, hi } with a slot for each axis, in axis order.
+const MAX_GAP_CELLS = 2000000; // beyond this many slots in the region the boxes span, gaps aren't looked for
+const MAX_KEPT_PROBLEMS = 1000; // of each kind, beyond which problems are only counted
+
+export const PROBLEM_KINDS = {
+    overlaps: { name: "Overlapping boxes" },
+    gaps: { name: "Uncovered gaps" },
+    compressible: { name: "Compressible neighbors" }
+};
+
+// The region of the box on the displayed axes (null if it is empty, e.g., "[a..a)")
+export function boxRegion(boxData, layout) {
+    const lo = [0, 0, 0], hi = [0, 0, 0];
+    for (let a = 0; a < AXES.length; a++) {
+        const boundaries = layout.boundaries[AXES[a]];
+        lo[a] = 2 * boundaryIndex(boundaries, boxData.minBounds[a]) + (boxData.minOpen[a] ? 1 : 0);
+        hi[a] = 2 * boundaryIndex(boundaries, boxData.maxBounds[a]) - (boxData.maxOpen[a] ? 1 : 0);
+        if (lo[a] > hi[a]) return null;
+    }
+    return { lo, hi };
+}
+
+// Each region on each axis as an interval, e.g., "[a..b) × (1..2] × [0..5]" (leaving out flat axes, where every box is)
+export function regionText({ lo, hi }, layout) {
+    return AXES.flatMap((axis, a) => {
+        if (layout.isFlat(axis)) return [];
+        const boundaries = layout.boundaries[axis];
+        const start = lo[a] % 2 === 0 ? `[${boundaries[lo[a] / 2]}` : `(${boundaries[(lo[a] - 1) / 2]}`;
+        const end = hi[a] % 2 === 0 ? `${boundaries[hi[a] / 2]}]` : `${boundaries[(hi[a] + 1) / 2]})`;
+        return `${start}..${end}`;
+    }).join(" × ");
+}
+
+// The problems of each kind, as { count, problems }, where each problem has a region, and the boxes involved (if any).
+// Gaps are only looked for when the region the boxes span isn't too big (gapsChecked).
+export function diagnose(boxes, layout) {
+    const regions = boxes.map(boxData => ({ boxData, region: boxRegion(boxData, layout) })).filter(({ region }) => region);
+    const coverage = coverageOf(regions);
+    // Only boxes on slots covered more than once can overlap, which are few, if any (unless the region is too big to tell)
+    const overlaps = findOverlaps(coverage ? regions.filter(({ region }) => !isCovered(coverage, region, count => count < 2)) : regions);
+    const gaps = coverage ? findGaps(coverage, layout) : problemList();
+    return { overlaps, gaps, gapsChecked: coverage !== null, compressible: findCompressible(regions, layout) };
+}
+
+function problemList() { return { count: 0, problems: [] }; }
+
+function addProblem(list, problem) {
+    if (list.count++ < MAX_KEPT_PROBLEMS) list.problems.push(problem);
+}
+
+// How many boxes cover each slot in the region the boxes span (counting to two at most), where the region starts at
+// the slots in start, and spans size slots on each axis (null if it is too big)
+function coverageOf(regions) {
+    const start = [0, 1, 2].map(a => regions.reduce((min, { region }) => Math.min(min, region.lo[a]), Infinity));
+    const size = [0, 1, 2].map(a => regions.reduce((max, { region }) => Math.max(max, region.hi[a]), -Infinity) - start[a] + 1);
+    if (regions.length === 0 || size[0] * size[1] * size[2] > MAX_GAP_CELLS) return null;
+    const coverage = { start, size, counts: new Uint8Array(size[0] * size[1] * size[2]) };
+    regions.forEach(({ region }) => forEachCell(coverage, region, cell => { if (coverage.counts[cell] < 2) coverage.counts[cell]++; }));
+    return coverage;
+}
+
+function forEachCell({ start, size }, { lo, hi }, action) {
+    for (let z = lo[2] - start[2]; z <= hi[2] - start[2]; z++)
+        for (let y = lo[1] - start[1]; y <= hi[1] - start[1]; y++) {
+            const row = (z * size[1] + y) * size[0] - start[0];
+            for (let x = lo[0]; x <= hi[0]; x++) action(row + x);
+        }
+}
+
+// Whether every slot in the region has a count that passes the test
+function isCovered(coverage, region, test) {
+    let passes = true;
+    forEachCell(coverage, region, cell => passes &&= test(coverage.counts[cell]));
+    return passes;
+}
+
+// Sweeps along the axis with the most slots, so only boxes that overlap on it are compared on the other axes
+function findOverlaps(regions) {
+    const list = problemList();
+    const sweepAxis = [0, 1, 2].reduce((best, a) => maxSlot(regions, a) > maxSlot(regions, best) ? a : best, 0);
+    const sorted = [...regions].sort((r1, r2) => r1.region.lo[sweepAxis] - r2.region.lo[sweepAxis]);
+    sorted.forEach((first, i) => {
+        for (let j = i + 1; j < sorted.length && sorted[j].region.lo[sweepAxis] <= first.region.hi[sweepAxis]; j++) {
+            const { lo: lo1, hi: hi1 } = first.region, { lo: lo2, hi: hi2 } = sorted[j].region;
+            if (lo1[0] > hi2[0] || lo2[0] > hi1[0] || lo1[1] > hi2[1] || lo2[1] > hi1[1] || lo1[2] > hi2[2] || lo2[2] > hi1[2]) continue;
+            const region = { lo: lo1.map((slot, a) => Math.max(slot, lo2[a])), hi: hi1.map((slot, a) => Math.min(slot, hi2[a])) };
+            addProblem(list, { region, boxes: [first.boxData, sorted[j].boxData] });
+        }
+    });
+    return list;
+}
+
+function maxSlot(regions, a) { return regions.reduce((max, { region }) => Math.max(max, region.hi[a]), 0); }
+
+// Gathers the slots no box covers into as few regions as it can greedily: along X as far as it goes, then Y, then Z.
+// Each slot gathered is counted as covered, so the coverage can't be used after this. Empty slots (between successors
+// on a discrete axis; see AxisLayout.isEmptySlot) are counted as covered first, since there's nothing in them to cover.
+function findGaps(coverage, layout) {
+    const list = problemList();
+    const { start, size, counts } = coverage, [sizeX, sizeY, sizeZ] = size;
+    AXES.forEach((axis, a) => {
+        for (let slot = start[a]; slot < start[a] + size[a]; slot++) {
+            if (!layout.isEmptySlot(axis, slot)) continue;
+            const lo = [...start], hi = start.map((first, b) => first + size[b] - 1);
+            lo[a] = hi[a] = slot;
+            forEachCell(coverage, { lo, hi }, cell => counts[cell] = 1);
+        }
+    });
+    const region = (x0, x1, y0, y1, z0, z1) => ({ lo: [x0 + start[0], y0 + start[1], z0 + start[2]], hi: [x1 + start[0], y1 + start[1], z1 + start[2]] });
+    const isFree = (x0, x1, y0, y1, z0, z1) => isCovered(coverage, region(x0, x1, y0, y1, z0, z1), count => count === 0);
+    for (let z = 0; z < sizeZ; z++) for (let y = 0; y < sizeY; y++) for (let x = 0; x < sizeX; x++) {
+        if (counts[(z * sizeY + y) * sizeX + x]) continue;
+        let x1 = x, y1 = y, z1 = z;
+        while (x1 + 1 < sizeX && isFree(x1 + 1, x1 + 1, y, y, z, z)) x1++;
+        while (y1 + 1 < sizeY && isFree(x, x1, y1 + 1, y1 + 1, z, z)) y1++;
+        while (z1 + 1 < sizeZ && isFree(x, x1, y, y1, z1 + 1, z1 + 1)) z1++;
+        const gap = region(x, x1, y, y1, z, z1);
+        forEachCell(coverage, gap, cell => counts[cell] = 1);
+        addProblem(list, { region: gap });
+    }
+    return list;
+}
+
+// Two boxes with the same value that meet on one axis, and have the same bounds on every other axis (including the
+// dimensions that aren't displayed), would be merged into one box by compress. On a discrete axis, boxes also meet when
+// the one ends at a boundary and the other starts at its successor, with only an empty slot between them.
+function findCompressible(regions, layout) {
+    const list = problemList();
+    const hiddenDimensions = layout.filterDimensionIndexes();
+    AXES.forEach((axis, a) => {
+        const groups = new Map();
+        regions.forEach(entry => {
+            const { boxData, region: { lo, hi } } = entry;
+            const [b, c] = a === 0 ? [1, 2] : a === 1 ? [0, 2] : [0, 1];
+            let key = `${lo[b]},${hi[b]},${lo[c]},${hi[c]}`;
+            hiddenDimensions.forEach(d => key += JSON.stringify([boxData.dimensionMinOpen[d], boxData.dimensionMin[d], boxData.dimensionMax[d], boxData.dimensionMaxOpen[d]]));
+            key += JSON.stringify(boxData.text1);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+        groups.forEach(group => {
+            group.sort((r1, r2) => r1.region.lo[a] - r2.region.lo[a]);
+            group.slice(1).forEach((second, i) => {
+                const first = group[i];
+                const meets = first.region.hi[a] + 1 === second.region.lo[a] ||
+                    (first.region.hi[a] + 2 === second.region.lo[a] && layout.isEmptySlot(axis, first.region.hi[a] + 1));
+                if (!meets) return;
+                const region = { lo: [...first.region.lo], hi: [...first.region.hi] };
+                region.hi[a] = second.region.hi[a];
+                addProblem(list, { region, boxes: [first.boxData, second.boxData] });
+            });
+        });
+    });
+    return list;
+}
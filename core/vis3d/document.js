@@ -0,0 +1,267 @@
+// The data read by the 3D viewer (see viewer.js): data documents and the diff events of live updates, validated and
+// turned into the box data the viewer displays.
+import { AXES, boundaryIndex } from './layout.js';
+
+// --- Data Documents ---
+// The data document is versioned JSON, written by Visualize3D (and served from /data/ by its StaticFileHandler) or
+// supplied as a file. Version 2 looks like this, with any number (at least one) of named dimensions, where each box
+// bound must be one of the boundaries of its dimension:
+// {
+//   "format": "intervalidus-vis3d", "version": 2, "title": "optional title",
+//   "dimensions": [ { "name": "version", "type": "int", "boundaries": ["-∞", "0", "1", "+∞"], "successors": [false, true, false], "values": [null, 0, 1, null] },
+//                   { "name": "x", "type": "string", "boundaries": ["-∞", "red", "blue", "+∞"] }, ... ],
+//   "data": [ { "min": ["0", "-∞", "red", "blue"], "max": ["1", "blue", "blue", "+∞"], "text1": "value", "text2": "interval",
+//               "minOpen": [false, false, false, true], "maxOpen": [false, true, false, false] } ]
+// }
+// The optional minOpen/maxOpen flags mark open bounds (e.g., the end of "[red, blue)"). Bounds are closed by default.
+// The optional "values" give a numeric value (e.g., an epoch day) for each boundary, in the same order as "boundaries",
+// with null for unbounded ends. They are used for metric axis spacing.
+// The optional "type" of a dimension is the type of its values, one of DIMENSION_TYPES: "int" (discrete integers),
+// "double" (continuous numbers), "date" (ISO dates like "2024-08-01"), "dateTime" (ISO date-times like
+// "2024-08-01T10:15:30"), or "string" (e.g., enums). Ticks are formatted by type (see tickLabels in layout.js), and
+// shown as they are without one.
+// The optional "successors" flags of a dimension (all false by default) mark each boundary after the first that is the
+// successor of the one before it (like 1 after 0, where Visualize3D's domain value is a DiscreteValue), so there's
+// nothing between them. Diagnostics don't count what's between them as a gap.
+// A box may also have a "number" (e.g., "number": 42.5 when its value is numeric), used to color boxes on a gradient,
+// and "values" (e.g., "values": ["a", "b"] when its value is a DataMulti set), listing the elements when inspected.
+// An optional "before" array of boxes, like "data", holds an earlier snapshot of the data to compare with (see
+// compareSnapshots), written by Visualize3D.diff.
+// Version 1 documents have exactly three dimensions, given as "axes": { "x": [...], "y": [...], "z": [...] } boundaries
+// and optional "axisValues": { "x": [...], ... }, rather than as "dimensions".
+export const DOCUMENT_FORMAT = "intervalidus-vis3d";
+const SUPPORTED_DOCUMENT_VERSIONS = [1, 2];
+export const DIMENSION_TYPES = ['int', 'double', 'date', 'dateTime', 'string'];
+
+export class DataDocumentError extends Error {
+    constructor(source, problems) {
+        super(`Invalid data from ${source}: ${problems.join("; ")}`);
+        this.name = "DataDocumentError";
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validates a parsed JSON document, returning { title, dimensions, boxes, beforeBoxes } (where beforeBoxes is undefined
+// unless comparing) or throwing a DataDocumentError listing problems
+export function parseDataDocument(json, source) {
+    if (!isObject(json)) throw new DataDocumentError(source, ["the document must be a JSON object"]);
+
+    const problems = [];
+    if (json.format !== DOCUMENT_FORMAT) problems.push(`"format" must be "${DOCUMENT_FORMAT}", not ${JSON.stringify(json.format)}`);
+    if (!SUPPORTED_DOCUMENT_VERSIONS.includes(json.version)) problems.push(`"version" ${JSON.stringify(json.version)} is not supported (expected one of ${SUPPORTED_DOCUMENT_VERSIONS.join(", ")})`);
+    if (json.title !== undefined && typeof json.title !== 'string') problems.push(`"title" must be a string`);
+    const dimensions = json.version === 1 ? parseAxes(json.axes, json.axisValues, problems) : parseDimensions(json.dimensions, problems);
+    if (!Array.isArray(json.data)) problems.push(`"data" must be an array`);
+    if (json.before !== undefined && !Array.isArray(json.before)) problems.push(`"before" must be an array`);
+    if (problems.length > 0) throw new DataDocumentError(source, problems);
+
+    const boxes = json.data.map((item, i) => parseBox(item, dimensions, `data[${i}]`, problems));
+    const beforeBoxes = json.before?.map((item, i) => parseBox(item, dimensions, `before[${i}]`, problems));
+    if (problems.length > 0) throw new DataDocumentError(source, problems);
+    return { title: json.title, dimensions, boxes, beforeBoxes };
+}
+
+// Validates version 2 dimensions (adding to problems), returning { name, type, boundaries, successors, values } for
+// each one (where type is null if not given)
+function parseDimensions(json, problems) {
+    if (!Array.isArray(json) || json.length === 0) {
+        problems.push(`"dimensions" must be an array of at least one dimension`); return [];
+    }
+    const dimensions = json.map((dimension, d) => {
+        const where = `dimensions[${d}]`;
+        if (!isObject(dimension)) { problems.push(`"${where}" must be an object`); return undefined; }
+        if (typeof dimension.name !== 'string' || dimension.name.trim() === "") problems.push(`"${where}.name" must be a non-empty string`);
+        if (dimension.type !== undefined && !DIMENSION_TYPES.includes(dimension.type)) problems.push(`"${where}.type" must be one of ${DIMENSION_TYPES.join(", ")}`);
+        const boundaries = parseBoundaries(dimension.boundaries, `${where}.boundaries`, problems);
+        if (!boundaries) return undefined;
+        const type = DIMENSION_TYPES.includes(dimension.type) ? dimension.type : null;
+        const successors = parseSuccessors(dimension.successors, boundaries, `${where}.successors`, problems);
+        return { name: dimension.name, type, boundaries, successors, values: parseBoundaryValues(dimension.values, boundaries, `${where}.values`, problems) };
+    });
+    const names = dimensions.filter(dimension => dimension).map(dimension => dimension.name);
+    if (new Set(names).size !== names.length) problems.push(`"dimensions" names must be distinct`);
+    return dimensions;
+}
+
+// Validates version 1 axes (adding to problems), returning them as the dimensions x, y, and z
+function parseAxes(json, axisValuesJson, problems) {
+    if (!isObject(json)) { problems.push(`"axes" must be an object with "x", "y", and "z" boundary arrays`); return []; }
+    if (axisValuesJson !== undefined && !isObject(axisValuesJson)) problems.push(`"axisValues" must be an object with "x", "y", and "z" value arrays`);
+    const axisValues = isObject(axisValuesJson) ? axisValuesJson : {};
+    return AXES.map(axis => {
+        const boundaries = parseBoundaries(json[axis], `axes.${axis}`, problems);
+        if (!boundaries) return undefined;
+        return { name: axis, type: null, boundaries, successors: parseSuccessors(undefined, boundaries), values: parseBoundaryValues(axisValues[axis], boundaries, `axisValues.${axis}`, problems) };
+    });
+}
+
+// Validates the boundaries of a dimension (adding to problems), returning them (undefined if not valid)
+function parseBoundaries(boundaries, where, problems) {
+    if (!Array.isArray(boundaries) || boundaries.length < 2) problems.push(`"${where}" must be an array of at least two boundaries`);
+    else if (!boundaries.every(b => typeof b === 'string')) problems.push(`"${where}" boundaries must all be strings`);
+    else if (new Set(boundaries).size !== boundaries.length) problems.push(`"${where}" boundaries must be distinct`);
+    else return boundaries;
+    return undefined;
+}
+
+// Validates optional successor flags (adding to problems), returning one for each boundary after the first, all false
+// by default
+function parseSuccessors(flags, boundaries, where, problems) {
+    const none = boundaries.slice(1).map(() => false);
+    if (flags === undefined) return none;
+    if (!Array.isArray(flags) || flags.length !== none.length || !flags.every(flag => typeof flag === 'boolean')) {
+        problems.push(`"${where}" must be an array of ${none.length} booleans (one for each boundary after the first)`); return none;
+    }
+    return flags;
+}
+
+// Validates optional boundary values (adding to problems), returning the values, null (unknown) by default
+function parseBoundaryValues(values, boundaries, where, problems) {
+    const unknown = boundaries.map(() => null);
+    if (values === undefined) return unknown;
+    if (!Array.isArray(values) || values.length !== boundaries.length) problems.push(`"${where}" must be an array with a value for each boundary`);
+    else if (!values.every(value => value === null || Number.isFinite(value))) problems.push(`"${where}" values must be finite numbers or null`);
+    else if (values.filter(value => value !== null).some((value, i, finite) => i > 0 && value < finite[i - 1])) problems.push(`"${where}" values must be in the same order as the boundaries`);
+    else return values;
+    return unknown;
+}
+
+// Validates bounds that must be one boundary from each dimension (adding to problems), returning whether they are valid
+function validBounds(bounds, dimensions, where, problems) {
+    if (!Array.isArray(bounds) || bounds.length !== dimensions.length) {
+        problems.push(`"${where}" must be an array of ${dimensions.length} boundaries`); return false;
+    }
+    const unknown = dimensions.filter((dimension, d) => boundaryIndex(dimension.boundaries, bounds[d]) < 0);
+    unknown.forEach(dimension => problems.push(`"${where}" ${dimension.name} boundary ${JSON.stringify(bounds[dimensions.indexOf(dimension)])} is not one of its boundaries`));
+    return unknown.length === 0;
+}
+
+// Validates a box (adding to problems), returning the box data used by the visuals (undefined if not valid). The
+// bounds of every dimension are kept in dimensionMin/dimensionMax (see AxisLayout.projectBox for the ones displayed).
+function parseBox(item, dimensions, where, problems) {
+    if (!isObject(item)) { problems.push(`"${where}" must be an object`); return undefined; }
+    const boundsValid = ['min', 'max'].every(key => validBounds(item[key], dimensions, `${where}.${key}`, problems));
+    if (!boundsValid) return undefined;
+    const inverted = dimensions.filter((dimension, d) => boundaryIndex(dimension.boundaries, item.min[d]) > boundaryIndex(dimension.boundaries, item.max[d]));
+    inverted.forEach(dimension => problems.push(`"${where}" ${dimension.name} min is after its max`));
+    const badText = ['text1', 'text2', 'text'].filter(key => item[key] !== undefined && typeof item[key] !== 'string');
+    badText.forEach(key => problems.push(`"${where}.${key}" must be a string`));
+    const badNumber = item.number !== undefined && !Number.isFinite(item.number);
+    if (badNumber) problems.push(`"${where}.number" must be a finite number`);
+    const badValues = item.values !== undefined && !(Array.isArray(item.values) && item.values.every(value => typeof value === 'string'));
+    if (badValues) problems.push(`"${where}.values" must be an array of strings`);
+    const minOpen = parseOpenFlags(item.minOpen, dimensions.length, `${where}.minOpen`, problems);
+    const maxOpen = parseOpenFlags(item.maxOpen, dimensions.length, `${where}.maxOpen`, problems);
+    if (inverted.length > 0 || badText.length > 0 || badNumber || badValues || !minOpen || !maxOpen) return undefined;
+    const empty = dimensions.filter((dimension, d) => item.min[d] === item.max[d] && (minOpen[d] || maxOpen[d]));
+    empty.forEach(dimension => problems.push(`"${where}" ${dimension.name} interval is empty (it is open at ${JSON.stringify(item.min[dimensions.indexOf(dimension)])})`));
+    if (empty.length > 0) return undefined;
+    return {
+        dimensionMin: item.min, dimensionMax: item.max, dimensionMinOpen: minOpen, dimensionMaxOpen: maxOpen,
+        text1: item.text1 || item.text || "", text2: item.text2 || "", number: item.number, values: item.values
+    };
+}
+
+// Validates optional open flags (adding to problems), returning the flags, all closed by default (undefined if not valid)
+function parseOpenFlags(flags, count, where, problems) {
+    if (flags === undefined) return Array(count).fill(false);
+    if (!Array.isArray(flags) || flags.length !== count || !flags.every(flag => typeof flag === 'boolean')) {
+        problems.push(`"${where}" must be an array of ${count} booleans`); return undefined;
+    }
+    return flags;
+}
+
+export function parseJsonText(text, source) {
+    try { return JSON.parse(text); }
+    catch (error) { throw new DataDocumentError(source, [`is not valid JSON: ${error.message}`]); }
+}
+
+// The data as a version 2 document (the inverse of parseDataDocument), including the snapshot before when comparing
+export function dataDocumentJson({ title, dimensions, boxes, beforeBoxes }) {
+    const boxJson = boxData => ({
+        min: boxData.dimensionMin, max: boxData.dimensionMax, minOpen: boxData.dimensionMinOpen, maxOpen: boxData.dimensionMaxOpen,
+        text1: boxData.text1, text2: boxData.text2, number: boxData.number, values: boxData.values
+    });
+    const json = {
+        format: DOCUMENT_FORMAT, version: 2, title,
+        dimensions: dimensions.map(({ name, type, boundaries, successors, values }) =>
+            ({ name, type: type ?? undefined, boundaries, successors: successors.includes(true) ? successors : undefined, values })),
+        data: boxes.map(boxJson)
+    };
+    if (beforeBoxes) json.before = beforeBoxes.map(boxJson);
+    return json;
+}
+
+// --- Diff Events ---
+// Live updates (see Visualize3D.live) are diff events, each holding the (possibly changed) dimensions, and actions to
+// apply to the boxes, where "create" and "update" give the box, and "delete" gives the key (the min bounds, with
+// optional open flags like minOpen), e.g.:
+// { "dimensions": [ { "name": "x", "boundaries": [...] }, ... ],
+//   "actions": [ { "action": "update", "box": { "min": [...], "max": [...], "text1": "value" } },
+//                { "action": "delete", "key": ["-∞", "red", "blue"], "keyOpen": [false, false, true] } ] }
+// Like version 1 documents, a diff event may give "axes" and "axisValues" rather than "dimensions".
+
+// Validates a parsed diff event for data with the given number of dimensions, returning { dimensions, actions }, where
+// each action is { action, key, boxData } (without boxData for a delete), or throwing a DataDocumentError listing problems
+export function parseDiffEvent(json, dimensionCount, source) {
+    if (!isObject(json)) throw new DataDocumentError(source, ["the diff event must be a JSON object"]);
+    const problems = [];
+    const dimensions = json.dimensions === undefined ? parseAxes(json.axes, json.axisValues, problems) : parseDimensions(json.dimensions, problems);
+    if (dimensions.length !== dimensionCount) problems.push(`the diff event has ${dimensions.length} dimensions, not ${dimensionCount} like the data`);
+    if (!Array.isArray(json.actions)) problems.push(`"actions" must be an array`);
+    if (problems.length > 0) throw new DataDocumentError(source, problems);
+
+    const actions = json.actions.map((item, i) => {
+        const where = `actions[${i}]`;
+        if (!isObject(item)) problems.push(`"${where}" must be an object`);
+        else if (item.action === 'create' || item.action === 'update') {
+            const boxData = parseBox(item.box, dimensions, `${where}.box`, problems);
+            if (boxData) return { action: item.action, key: keyOfBox(boxData), boxData };
+        }
+        else if (item.action === 'delete') {
+            const keyOpen = parseOpenFlags(item.keyOpen, dimensions.length, `${where}.keyOpen`, problems);
+            if (!Array.isArray(item.key) || item.key.length !== dimensions.length) problems.push(`"${where}.key" must be an array of ${dimensions.length} boundaries`);
+            else if (keyOpen) return { action: item.action, key: boxKey(item.key, keyOpen) };
+        }
+        else problems.push(`"${where}.action" must be "create", "update", or "delete", not ${JSON.stringify(item.action)}`);
+        return undefined;
+    });
+    if (problems.length > 0) throw new DataDocumentError(source, problems);
+    return { dimensions, actions };
+}
+
+// --- Box Identity ---
+// Like DiffAction, boxes are identified by their min bounds (i.e., the start of their intervals), open or closed
+export function boxKey(bounds, open) { return JSON.stringify([bounds, open]); }
+
+// When comparing side by side, a box before an update has the same min bounds as the box after it, so it is told apart
+export function keyOfBox(boxData) {
+    const key = boxKey(boxData.dimensionMin, boxData.dimensionMinOpen);
+    return boxData.side === 'before' ? `before ${key}` : key;
+}
+
+// Copies of the boxes with their change ('created', 'updated', 'deleted', or 'unchanged'), and the side of the
+// comparison they are on ('before', 'after', or 'both'). An updated box is on both sides, as a copy before (on the left)
+// and a copy after, which also knows its previous box.
+export function compareSnapshots(beforeBoxes, boxes) {
+    const beforeByKey = new Map(beforeBoxes.map(boxData => [keyOfBox(boxData), boxData]));
+    const entries = boxes.map(boxData => {
+        const previous = beforeByKey.get(keyOfBox(boxData));
+        beforeByKey.delete(keyOfBox(boxData));
+        if (!previous) return { ...boxData, change: 'created', side: 'after' };
+        if (sameBox(previous, boxData)) return { ...boxData, change: 'unchanged', side: 'both' };
+        return { ...boxData, change: 'updated', side: 'after', previous };
+    });
+    const updatedBefore = entries.filter(entry => entry.previous).map(entry => ({ ...entry.previous, change: 'updated', side: 'before' }));
+    const deleted = [...beforeByKey.values()].map(boxData => ({ ...boxData, change: 'deleted', side: 'before' }));
+    return [...entries, ...updatedBefore, ...deleted];
+}
+
+// Boxes with the same min bounds are the same when they also end the same way with the same value
+function sameBox(a, b) {
+    const comparedPart = boxData => JSON.stringify([boxData.dimensionMax, boxData.dimensionMaxOpen, boxData.text1, boxData.values]);
+    return comparedPart(a) === comparedPart(b);
+}
@@ -0,0 +1,542 @@
+// Axis mapping and slice logic of the 3D viewer (see viewer.js): which dimensions are displayed on the X, Y, and Z axes,
+// where each boundary is drawn, and which boxes pass the filters, contain a point, or match a search.
+
+export const AXES = ['x', 'y', 'z'];
+export const VISUAL_GRID_SPACING = 3;
+export const OPEN_BOUND_INSET = VISUAL_GRID_SPACING * 0.08; // how far an open bound is drawn from its boundary
+const METRIC_UNBOUNDED_MARGIN = VISUAL_GRID_SPACING; // how far beyond the finite values unbounded ends are drawn
+const LOG_SCALE = 100; // log spacing of values normalized to 0..1, so it looks the same whatever their units
+
+// --- Boundary Indexes ---
+// Boundaries are looked up by value all the time (e.g., for every box on each slice), so each array of boundaries gets
+// a map from boundary to index, built the first time it is used. Arrays of boundaries are replaced, never changed.
+const boundaryIndexMaps = new WeakMap();
+
+// The index of the boundary in the boundaries (-1 if it isn't one of them)
+export function boundaryIndex(boundaries, boundary) {
+    let indexes = boundaryIndexMaps.get(boundaries);
+    if (!indexes) {
+        indexes = new Map();
+        boundaries.forEach((other, index) => { if (!indexes.has(other)) indexes.set(other, index); });
+        boundaryIndexMaps.set(boundaries, indexes);
+    }
+    return indexes.get(boundary) ?? -1;
+}
+
+// --- Slots ---
+// A point in a dimension is snapped to the grid: it is in a "slot" that is either a boundary (slot 2i is boundary i) or
+// strictly between two adjacent boundaries (slot 2i + 1 is between boundaries i and i + 1). The probe and the filters
+// are points like this.
+
+// The slot at the same boundary (or between the same boundary and the next) after the boundaries change
+export function remapSlot(oldBoundaries, newBoundaries, slot) {
+    const index = newBoundaries.indexOf(oldBoundaries[Math.floor(slot / 2)]);
+    if (index < 0) return Math.min(slot, 2 * (newBoundaries.length - 1));
+    return Math.min(2 * index + slot % 2, 2 * (newBoundaries.length - 1));
+}
+
+export function slotText(boundaries, slot) {
+    const index = Math.floor(slot / 2);
+    return slot % 2 === 0 ? boundaries[index] : `between ${boundaries[index]} and ${boundaries[index + 1]}`;
+}
+
+// A box doesn't contain the boundary of one of its open bounds, e.g., "[red, blue)" doesn't contain blue
+export function boxContainsSlot(boxData, boundaries, dimensionIndex, slot) {
+    const index = Math.floor(slot / 2);
+    const minIndex = boundaryIndex(boundaries, boxData.dimensionMin[dimensionIndex]);
+    const maxIndex = boundaryIndex(boundaries, boxData.dimensionMax[dimensionIndex]);
+    if (slot % 2 === 1) return minIndex <= index && maxIndex > index;
+    return (minIndex < index || (minIndex === index && !boxData.dimensionMinOpen[dimensionIndex])) &&
+        (maxIndex > index || (maxIndex === index && !boxData.dimensionMaxOpen[dimensionIndex]));
+}
+
+export function boundsText(boxData, dimensionIndex) {
+    const start = boxData.dimensionMinOpen[dimensionIndex] ? "(" : "[", end = boxData.dimensionMaxOpen[dimensionIndex] ? ")" : "]";
+    return `${start}${boxData.dimensionMin[dimensionIndex]}..${boxData.dimensionMax[dimensionIndex]}${end}`;
+}
+
+// --- Search ---
+// Boxes are searched for by their value (text1), as plain text or a regular expression (either case-insensitive), and
+// by predicates on their bounds, each as { dimension, kind, boundary }, where kind is one of SEARCH_PREDICATES (and
+// boundary is only used by the ones that take one). A box matches when it matches the text and every predicate.
+const UNBOUNDED_BELOW = "-∞", UNBOUNDED_ABOVE = "+∞"; // how unbounded ends are written
+export const SEARCH_PREDICATES = {
+    startsBefore: { name: "starts before", takesBoundary: true },
+    startsAfter: { name: "starts after", takesBoundary: true },
+    endsBefore: { name: "ends before", takesBoundary: true },
+    endsAfter: { name: "ends after", takesBoundary: true },
+    contains: { name: "contains", takesBoundary: true },
+    unboundedBelow: { name: "unbounded below", takesBoundary: false },
+    unboundedAbove: { name: "unbounded above", takesBoundary: false }
+};
+
+// The search to match boxes with (see AxisLayout.isSearchMatch), or null if there's nothing to search for. An invalid
+// regular expression throws a SyntaxError.
+export function compileSearch({ text = "", regex = false, predicates = [] } = {}) {
+    if (text === "" && predicates.length === 0) return null;
+    const pattern = text === "" ? null : new RegExp(regex ? text : text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    return { pattern, predicates };
+}
+
+// Whether the bounds of the box in the dimension satisfy the predicate, where a box doesn't contain the boundary of one
+// of its open bounds (e.g., "[red, blue)" ends before blue)
+function satisfiesPredicate(boxData, boundaries, { dimension: d, kind, boundary }) {
+    const minIndex = boundaryIndex(boundaries, boxData.dimensionMin[d]), maxIndex = boundaryIndex(boundaries, boxData.dimensionMax[d]);
+    const index = boundaryIndex(boundaries, boundary);
+    switch (kind) {
+        case 'startsBefore': return minIndex < index;
+        case 'startsAfter': return minIndex > index || (minIndex === index && boxData.dimensionMinOpen[d]);
+        case 'endsBefore': return maxIndex < index || (maxIndex === index && boxData.dimensionMaxOpen[d]);
+        case 'endsAfter': return maxIndex > index;
+        case 'contains': return boxContainsSlot(boxData, boundaries, d, 2 * index);
+        case 'unboundedBelow': return boxData.dimensionMin[d] === UNBOUNDED_BELOW;
+        case 'unboundedAbove': return boxData.dimensionMax[d] === UNBOUNDED_ABOVE;
+        default: return true;
+    }
+}
+
+// --- Tick Labels ---
+// Ticks are labelled by the type of their dimension (see DIMENSION_TYPES in document.js), so they stay short: dates as
+// "Aug 1" (with the year on the first date and wherever it changes), date-times as times (with the date wherever it
+// changes), doubles rounded to as few significant digits as keep neighbors apart, and long strings cut short. Unbounded
+// ends stay "-∞" and "+∞", and dimensions without a type are labelled with their boundaries as they are.
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MIN_TICK_DIGITS = 4, MAX_TICK_DIGITS = 15;
+const MAX_TICK_LABEL_LENGTH = 16; // characters of a string label, beyond which it is cut short with an ellipsis
+const DATE_PATTERN = /^([+-]?\d{4,})-(\d{2})-(\d{2})$/;
+const DATE_TIME_PATTERN = /^([+-]?\d{4,}-\d{2}-\d{2})T(\d{2}:\d{2})(?::(\d{2}(?:\.\d+)?))?(Z|[+-]\d{2}:\d{2})?$/;
+const tickLabelCache = new WeakMap(); // of each array of boundaries, by type (arrays of boundaries are never changed)
+
+// The label of each boundary, for a dimension of the type
+export function tickLabels(boundaries, type) {
+    let labelsByType = tickLabelCache.get(boundaries);
+    if (!labelsByType) { labelsByType = new Map(); tickLabelCache.set(boundaries, labelsByType); }
+    if (!labelsByType.has(type)) labelsByType.set(type, formatTicks(boundaries, type));
+    return labelsByType.get(type);
+}
+
+function formatTicks(boundaries, type) {
+    const isBounded = boundary => boundary !== "-∞" && boundary !== "+∞";
+    const format = {
+        date: datesText, dateTime: dateTimesText, double: doublesText,
+        string: texts => texts.map(text => text.length > MAX_TICK_LABEL_LENGTH ? `${text.slice(0, MAX_TICK_LABEL_LENGTH - 1)}…` : text)
+    }[type] ?? (texts => texts);
+    const formatted = format(boundaries.filter(isBounded));
+    let next = 0;
+    return boundaries.map(boundary => isBounded(boundary) ? formatted[next++] : boundary);
+}
+
+// Dates that don't parse (e.g., from a custom toString) are left as they are, and don't count as the previous year
+function datesText(texts) {
+    let previousYear = null;
+    return texts.map(text => {
+        const match = DATE_PATTERN.exec(text);
+        if (!match) return text;
+        const [, year, month, day] = match;
+        const monthDay = `${MONTH_NAMES[Number(month) - 1]} ${Number(day)}`;
+        const shown = year === previousYear ? monthDay : `${monthDay}, ${Number(year)}`;
+        previousYear = year;
+        return shown;
+    });
+}
+
+function dateTimesText(texts) {
+    const parts = texts.map(text => DATE_TIME_PATTERN.exec(text));
+    const dates = datesText(parts.map((match, i) => match ? match[1] : texts[i]));
+    const allMidnight = parts.every(match => !match || (match[2] === "00:00" && !Number(match[3] ?? 0)));
+    let previousDate = null;
+    return texts.map((text, i) => {
+        const match = parts[i];
+        if (!match) return text;
+        const [, date, hoursMinutes, seconds, zone] = match;
+        const time = `${hoursMinutes}${Number(seconds ?? 0) ? `:${seconds}` : ""}${zone && zone !== "Z" ? zone : ""}`; // UTC goes without saying
+        const shown = allMidnight ? dates[i] : date === previousDate ? time : `${dates[i]} ${time}`;
+        previousDate = date;
+        return shown;
+    });
+}
+
+// Rounded to the fewest significant digits (at least MIN_TICK_DIGITS) that tell every two neighbors apart
+function doublesText(texts) {
+    const numbers = texts.map(Number);
+    for (let digits = MIN_TICK_DIGITS; digits < MAX_TICK_DIGITS; digits++) {
+        const rounded = numbers.map((number, i) => Number.isFinite(number) ? String(Number(number.toPrecision(digits))) : texts[i]);
+        if (rounded.every((text, i) => i === 0 || text !== rounded[i - 1])) return rounded;
+    }
+    return texts;
+}
+
+// The indexes of the ticks to label, at the (ascending) positions, so labels are at least the spacing apart: each one
+// that is far enough from the last one labelled
+export function thinnedTickIndexes(positions, spacing) {
+    const kept = [];
+    positions.forEach((position, index) => {
+        if (kept.length === 0 || position - positions[kept[kept.length - 1]] >= spacing) kept.push(index);
+    });
+    return kept;
+}
+
+// --- Axis Spacing ---
+// The ordinal layout puts every boundary VISUAL_GRID_SPACING apart. The metric layout makes distances proportional to
+// the boundary values (or, on a log scale, to the log of their distance from the first value, as a fraction of the
+// range of values, so it looks the same at any scale), spanning about the same length as the ordinal layout. In the
+// metric layout, unbounded ends are clamped to a margin beyond the values.
+export function axisPositions(boundaries, values, mode) {
+    if (mode !== 'ordinal' && metricSpacingAvailable(values)) return metricPositions(values, mode === 'log');
+    return boundaries.map((boundary, index) => index * VISUAL_GRID_SPACING);
+}
+
+function metricPositions(values, logScale) {
+    const finiteValues = values.filter(value => value !== null);
+    const minValue = finiteValues[0], maxValue = finiteValues[finiteValues.length - 1]; // ordered like the boundaries
+    const normalized = value => (value - minValue) / (maxValue - minValue);
+    const scaled = value => logScale ? Math.log1p(LOG_SCALE * normalized(value)) : normalized(value);
+    const lowMargin = values[0] === null ? METRIC_UNBOUNDED_MARGIN : 0;
+    const highMargin = values[values.length - 1] === null ? METRIC_UNBOUNDED_MARGIN : 0;
+    const finiteLength = Math.max(VISUAL_GRID_SPACING, (values.length - 1) * VISUAL_GRID_SPACING - lowMargin - highMargin);
+    const scaledRange = scaled(maxValue);
+    return values.map((value, index) => {
+        if (value !== null) return lowMargin + scaled(value) / scaledRange * finiteLength;
+        return index === 0 ? 0 : lowMargin + finiteLength + highMargin;
+    });
+}
+
+// Metric spacing needs values for all but the unbounded ends, and at least two distinct values
+export function metricSpacingAvailable(values) {
+    return values.slice(1, -1).every(value => value !== null) && new Set(values.filter(value => value !== null)).size >= 2;
+}
+
+// --- Flat Axes ---
+// Data with fewer than three dimensions is drawn flat, facing the camera: 2D data as a map of rectangles on X and Y,
+// and 1D data as a timeline on X, where each value gets a lane of its own stacked along Y (like a Gantt chart). An axis
+// without a dimension is flat: it has a single boundary, where every box is, so points, slots, and regions on it work
+// like on any other axis (e.g., for diagnostics). Only the lanes are laid out apart from the boundaries.
+export const FLAT_BOUNDARY = "·";
+const FLAT_DIMENSION = { name: "", type: null, boundaries: [FLAT_BOUNDARY], successors: [], values: [null] };
+export const LANE_AXIS = 'y';
+const LANE_MARGIN = 0.15; // of the lane spacing, left empty on each side of a lane
+const LANES_ASPECT = 4; // how many times longer than the lanes are high the timeline is drawn (unless the lanes are too narrow)
+
+// --- Axis Layout ---
+// Data may have more than three dimensions (e.g., the version of versioned 3D data). Three of them are displayed as the
+// X, Y, and Z axes, and each of the others gets a filter: a point in that dimension, so only boxes containing it are
+// shown. With fewer than three, some axes are flat (see the Flat Axes section). The layout keeps track of which is which,
+// and of the display coordinate of each boundary on each axis.
+export class AxisLayout {
+    constructor() {
+        this.dimensions = []; // { name, type, boundaries, successors, values } of each dimension
+        this.axisDimensions = { x: 0, y: 1, z: 2 }; // the dimension displayed on each axis (null if it is flat)
+        this.filterSlots = []; // the slot of the filter point in each dimension (only used for dimensions that aren't displayed)
+        this.spacingModes = { x: 'ordinal', y: 'ordinal', z: 'ordinal' }; // 'ordinal', 'metric', or 'log'
+        this.boundaries = { x: [], y: [], z: [] }; // the boundaries of the dimension displayed on each axis
+        this.values = { x: [], y: [], z: [] }; // numeric value of each boundary (null if unbounded or unknown)
+        this.positions = { x: [], y: [], z: [] }; // display coordinate of each boundary (see axisPositions)
+        this.clipping = { enabled: false, ranges: [] }; // see the Clipping section
+        this.lanes = new Map(); // the lane of each value, with 1D data (see setLanes)
+        this.laneSpacing = VISUAL_GRID_SPACING;
+    }
+
+    // Sets the dimensions, keeping which ones are displayed and each filter point if they are the same dimensions as
+    // before (and returning whether they are)
+    setDimensions(newDimensions) {
+        const previous = this.dimensions;
+        const sameDimensions = JSON.stringify(newDimensions.map(dimension => dimension.name)) === JSON.stringify(previous.map(dimension => dimension.name));
+        this.dimensions = newDimensions;
+        const first = Math.max(0, newDimensions.length - AXES.length); // the last three, after any version
+        if (!sameDimensions) AXES.forEach((axis, a) => this.axisDimensions[axis] = first + a < newDimensions.length ? first + a : null);
+        if (!sameDimensions) this.clipping.ranges = [];
+        this.filterSlots = newDimensions.map((dimension, d) => sameDimensions && this.filterSlots[d] !== undefined ?
+            remapSlot(previous[d].boundaries, dimension.boundaries, this.filterSlots[d]) : undefined);
+        this.updateAxes();
+        return sameDimensions;
+    }
+
+    // Displays the dimension on the axis, swapping it with the axis that displayed it before (if any)
+    setAxisDimension(axis, dimensionIndex) {
+        if (this.isFlat(axis)) return;
+        const swappedAxis = AXES.find(other => this.axisDimensions[other] === dimensionIndex);
+        if (swappedAxis) this.axisDimensions[swappedAxis] = this.axisDimensions[axis];
+        this.filterSlots[this.axisDimensions[axis]] = undefined; // no longer displayed, so it starts where the boxes are (see startFilters)
+        this.axisDimensions[axis] = dimensionIndex;
+        this.updateAxes();
+    }
+
+    setSpacing(axis, mode) {
+        this.spacingModes[axis] = mode;
+        this.updateAxes();
+    }
+
+    updateAxes() {
+        AXES.forEach(axis => {
+            const { boundaries, values } = this.isFlat(axis) ? FLAT_DIMENSION : this.dimensions[this.axisDimensions[axis]] ?? { boundaries: [], values: [] };
+            this.boundaries[axis] = boundaries;
+            this.values[axis] = values;
+            this.positions[axis] = axisPositions(boundaries, values, this.spacingModes[axis]);
+        });
+        this.updateLaneSpacing();
+    }
+
+    // '3d', or with fewer dimensions, '2d' or '1d' (see the Flat Axes section)
+    mode() { return this.dimensions.length === 1 ? '1d' : this.dimensions.length === 2 ? '2d' : '3d'; }
+
+    isFlat(axis) { return this.axisDimensions[axis] === null; }
+
+    // Boundary values may change with the data, so metric spacing can only be used when they allow it
+    spacingAvailable(axis) { return metricSpacingAvailable(this.values[axis]); }
+
+    spacing(axis) { return this.spacingAvailable(axis) ? this.spacingModes[axis] : 'ordinal'; }
+
+    // Adds the bounds of the displayed dimensions, in axis order, which are what the visuals use
+    // (on a flat axis, every box is closed at its one boundary)
+    projectBox(boxData) {
+        const displayed = AXES.map(axis => this.axisDimensions[axis]);
+        boxData.minBounds = displayed.map(d => d === null ? FLAT_BOUNDARY : boxData.dimensionMin[d]);
+        boxData.maxBounds = displayed.map(d => d === null ? FLAT_BOUNDARY : boxData.dimensionMax[d]);
+        boxData.minOpen = displayed.map(d => d !== null && boxData.dimensionMinOpen[d]);
+        boxData.maxOpen = displayed.map(d => d !== null && boxData.dimensionMaxOpen[d]);
+        return boxData;
+    }
+
+    axisTitle(axis) {
+        if (this.isLaneAxis(axis)) return "Value";
+        if (this.isFlat(axis)) return "";
+        const name = this.dimensions[this.axisDimensions[axis]]?.name;
+        return !name || name.toLowerCase() === axis ? axis.toUpperCase() : `${axis.toUpperCase()}: ${name}`;
+    }
+
+    // The label of each tick on the axis (see tickLabels)
+    tickLabels(axis) { return tickLabels(this.boundaries[axis], this.dimensions[this.axisDimensions[axis]]?.type); }
+
+    // The ticks drawn along the axis, each with its boundary (if it has one), label, and display coordinate: the
+    // boundaries, or on the lane axis, the middle of each lane (labeled with its value), and none on other flat axes
+    axisTicks(axis) {
+        if (this.isLaneAxis(axis)) return [...this.lanes].map(([value, lane]) => ({ label: String(value), coord: (lane + 0.5) * this.laneSpacing }));
+        if (this.isFlat(axis)) return [];
+        return this.boundaries[axis].map((boundary, i) => ({ boundary, label: this.tickLabels(axis)[i], coord: this.positions[axis][i] }));
+    }
+
+    axisLength(axis) {
+        if (this.isLaneAxis(axis)) return this.lanes.size * this.laneSpacing;
+        return this.positions[axis].length > 0 ? this.positions[axis][this.positions[axis].length - 1] : 0;
+    }
+
+    // --- Lanes ---
+    // With 1D data, each value gets a lane along the lane axis, in the order given (from the bottom up). Returns whether
+    // the lanes changed.
+    setLanes(values) {
+        const lanes = this.mode() === '1d' ? values : [];
+        const changed = lanes.length !== this.lanes.size || lanes.some((value, lane) => this.lanes.get(value) !== lane);
+        this.lanes = new Map(lanes.map((value, lane) => [value, lane]));
+        this.updateLaneSpacing();
+        return changed;
+    }
+
+    // Lanes are spaced so the timeline keeps its aspect, but no closer than boundaries
+    updateLaneSpacing() {
+        this.laneSpacing = Math.max(VISUAL_GRID_SPACING, this.axisLength('x') / LANES_ASPECT / Math.max(1, this.lanes.size));
+    }
+
+    isLaneAxis(axis) { return axis === LANE_AXIS && this.mode() === '1d'; }
+
+    // --- Filters ---
+    filterDimensionIndexes() {
+        const displayed = AXES.map(axis => this.axisDimensions[axis]);
+        return this.dimensions.map((dimension, d) => d).filter(d => !displayed.includes(d));
+    }
+
+    isFilteredIn(boxData) {
+        return this.filterDimensionIndexes().every(d => this.containsSlot(boxData, d, this.filterSlots[d]));
+    }
+
+    // The slots a filter steps through: every boundary, and between two boundaries only where some box is
+    filterSlotChoices(boxes, dimensionIndex) {
+        const boundaries = this.dimensions[dimensionIndex].boundaries;
+        const occupiedBetween = boundaries.map(() => false);
+        boxes.forEach(boxData => {
+            const maxIndex = boundaryIndex(boundaries, boxData.dimensionMax[dimensionIndex]);
+            for (let i = boundaryIndex(boundaries, boxData.dimensionMin[dimensionIndex]); i < maxIndex; i++) occupiedBetween[i] = true;
+        });
+        return boundaries.flatMap((boundary, i) => occupiedBetween[i] ? [2 * i, 2 * i + 1] : [2 * i]);
+    }
+
+    // A new filter starts at the first point where there are boxes
+    startFilters(boxes) {
+        this.filterDimensionIndexes().filter(d => this.filterSlots[d] === undefined).forEach(d => {
+            this.filterSlots[d] = this.filterSlotChoices(boxes, d).find(slot => boxes.some(boxData => this.containsSlot(boxData, d, slot))) ?? 0;
+        });
+    }
+
+    // --- Points and Slices ---
+    containsSlot(boxData, dimensionIndex, slot) {
+        return boxContainsSlot(boxData, this.dimensions[dimensionIndex].boundaries, dimensionIndex, slot);
+    }
+
+    containsBoundary(boxData, axis, index) { return this.isFlat(axis) || this.containsSlot(boxData, this.axisDimensions[axis], 2 * index); }
+
+    // Whether there's nothing in the slot: in a discrete dimension, there's no value between a boundary and its
+    // successor (e.g., 5 and 6, or two days in a row), as the successors of the dimension tell
+    isEmptySlot(axis, slot) {
+        if (slot % 2 === 0 || this.isFlat(axis)) return false;
+        return this.dimensions[this.axisDimensions[axis]].successors[(slot - 1) / 2] === true;
+    }
+
+    // The slot in every dimension of a point at the given slot on each axis, with the filter points in the others
+    pointSlots(axisSlots) {
+        const slots = this.dimensions.map((dimension, d) => this.filterSlots[d]);
+        AXES.filter(axis => !this.isFlat(axis)).forEach(axis => slots[this.axisDimensions[axis]] = axisSlots[axis]);
+        return slots;
+    }
+
+    containsPoint(boxData, pointSlots) { return pointSlots.every((slot, d) => this.containsSlot(boxData, d, slot)); }
+
+    slotText(dimensionIndex, slot) { return slotText(this.dimensions[dimensionIndex].boundaries, slot); }
+
+    // How each boundary is used by boxes: as a closed bound, an open min ("(b"), and/or an open max ("b)")
+    boundaryKinds(axis, boxes) {
+        const a = AXES.indexOf(axis);
+        const boundaries = this.boundaries[axis];
+        const kinds = boundaries.map(() => ({ closed: false, openStart: false, openEnd: false }));
+        boxes.forEach(boxData => {
+            const minKind = kinds[boundaryIndex(boundaries, boxData.minBounds[a])], maxKind = kinds[boundaryIndex(boundaries, boxData.maxBounds[a])];
+            if (boxData.minOpen[a]) minKind.openStart = true; else minKind.closed = true;
+            if (boxData.maxOpen[a]) maxKind.openEnd = true; else maxKind.closed = true;
+        });
+        return kinds;
+    }
+
+    // --- Display Coordinates ---
+    displayCoord(boundary, axis) {
+        const index = boundaryIndex(this.boundaries[axis], boundary);
+        if (index === -1) {
+            console.warn(`Boundary value "${boundary}" not found in axis "${axis}" map.`);
+            return 0;
+        }
+        return this.positions[axis][index];
+    }
+
+    // Open bounds are drawn inset from their boundary, i.e., just after it for a min, and just before it for a max
+    boundDisplayCoord(boxData, axisIndex, side) {
+        const axis = AXES[axisIndex];
+        if (side === 'min') return this.displayCoord(boxData.minBounds[axisIndex], axis) + (boxData.minOpen[axisIndex] ? OPEN_BOUND_INSET : 0);
+        else return this.displayCoord(boxData.maxBounds[axisIndex], axis) - (boxData.maxOpen[axisIndex] ? OPEN_BOUND_INSET : 0);
+    }
+
+    // The display coordinates of the min and max corners of the box, in axis order, cut at the faces of the clipping box
+    // (see the Clipping section), with the open flags of each face, where a cut face is drawn closed. With lanes, the
+    // box spans the lane of its value.
+    displayBounds(boxData) {
+        const min = AXES.map((axis, a) => this.boundDisplayCoord(boxData, a, 'min')), max = AXES.map((axis, a) => this.boundDisplayCoord(boxData, a, 'max'));
+        const minOpen = [...boxData.minOpen], maxOpen = [...boxData.maxOpen];
+        const lane = this.isLaneAxis(LANE_AXIS) ? this.lanes.get(boxData.text1) : undefined;
+        if (lane !== undefined) {
+            const a = AXES.indexOf(LANE_AXIS);
+            min[a] = (lane + LANE_MARGIN) * this.laneSpacing;
+            max[a] = (lane + 1 - LANE_MARGIN) * this.laneSpacing;
+        }
+        AXES.filter(axis => this.isClipped(axis)).forEach(axis => {
+            const a = AXES.indexOf(axis), [low, high] = this.clipIndexes(axis).map(index => this.positions[axis][index]);
+            if (min[a] < low) { min[a] = low; minOpen[a] = false; }
+            if (max[a] > high) { max[a] = high; maxOpen[a] = false; }
+        });
+        return { min, max, minOpen, maxOpen };
+    }
+
+    // The display coordinates of a region of slots, { lo, hi } with a slot for each axis, drawn like a box that has open
+    // bounds where the region starts or ends between boundaries (and spans the lanes, if there are any)
+    slotRegionDisplayBounds({ lo, hi }) {
+        const minOpen = lo.map(slot => slot % 2 === 1), maxOpen = hi.map(slot => slot % 2 === 1);
+        const min = AXES.map((axis, a) => this.positions[axis][Math.floor(lo[a] / 2)] + (minOpen[a] ? OPEN_BOUND_INSET : 0));
+        const max = AXES.map((axis, a) => this.positions[axis][Math.ceil(hi[a] / 2)] - (maxOpen[a] ? OPEN_BOUND_INSET : 0));
+        if (this.isLaneAxis(LANE_AXIS)) max[AXES.indexOf(LANE_AXIS)] = this.axisLength(LANE_AXIS);
+        return { min, max, minOpen, maxOpen };
+    }
+
+    slotDisplayCoord(axis, slot) {
+        if (this.isLaneAxis(axis)) return this.axisLength(axis) / 2;
+        const positions = this.positions[axis], index = Math.floor(slot / 2);
+        return slot % 2 === 0 ? positions[index] : (positions[index] + positions[index + 1]) / 2;
+    }
+
+    // The boundary index with the display coordinate nearest to the one given
+    nearestBoundaryIndex(axis, displayCoord) {
+        const positions = this.positions[axis];
+        let nearestIndex = 0;
+        positions.forEach((position, index) => {
+            if (Math.abs(position - displayCoord) < Math.abs(positions[nearestIndex] - displayCoord)) nearestIndex = index;
+        });
+        return nearestIndex;
+    }
+
+    // The slice of the boxes drawn flat, in pixels (with v increasing upward): the ticks of the other two axes (each with
+    // its boundary, if any, label, and position; see axisTicks), and the boxes, with the sides of their outlines (each [x1, y1, x2, y2, open])
+    sliceDrawing(boxes, axis, scale, margin) {
+        const [uAxis, vAxis] = AXES.filter(other => other !== axis);
+        const u = AXES.indexOf(uAxis), v = AXES.indexOf(vAxis);
+        const width = this.axisLength(uAxis) * scale + 2 * margin, height = this.axisLength(vAxis) * scale + 2 * margin;
+        const x = coord => margin + coord * scale, y = coord => height - margin - coord * scale;
+        return {
+            uAxis, vAxis, width, height, origin: { x: x(0), y: y(0) }, uEnd: x(this.axisLength(uAxis)), vEnd: y(this.axisLength(vAxis)),
+            uTicks: this.axisTicks(uAxis).map(({ boundary, label, coord }) => ({ boundary, label, at: x(coord) })),
+            vTicks: this.axisTicks(vAxis).map(({ boundary, label, coord }) => ({ boundary, label, at: y(coord) })),
+            boxes: boxes.map(boxData => {
+                const { min, max, minOpen, maxOpen } = this.displayBounds(boxData);
+                const minU = x(min[u]), maxU = x(max[u]), minV = y(min[v]), maxV = y(max[v]);
+                const sides = [[minU, minV, maxU, minV, minOpen[v]], [maxU, minV, maxU, maxV, maxOpen[u]],
+                    [maxU, maxV, minU, maxV, maxOpen[v]], [minU, maxV, minU, minV, minOpen[u]]];
+                return { boxData, minU, maxU, minV, maxV, sides };
+            })
+        };
+    }
+
+    // --- Clipping ---
+    // The clipping box limits each displayed dimension to a range of its boundaries (inclusive), like Data.getIntersecting:
+    // only boxes that intersect every range are shown, cut at the faces of the box. A range is kept by its boundary values
+    // for each dimension, so it stays put as boundaries come and go, and follows the dimension to another axis.
+
+    // Limits the axis to the boundaries with the indexes (in either order), or stops limiting it if they are its ends
+    setClipRange(axis, fromIndex, toIndex) {
+        if (this.isFlat(axis)) return;
+        const boundaries = this.boundaries[axis], last = boundaries.length - 1;
+        const minIndex = Math.max(0, Math.min(fromIndex, toIndex)), maxIndex = Math.min(last, Math.max(fromIndex, toIndex));
+        this.clipping.ranges[this.axisDimensions[axis]] = minIndex <= 0 && maxIndex >= last ? undefined : { min: boundaries[minIndex], max: boundaries[maxIndex] };
+    }
+
+    // The indexes of the first and last boundaries in the range of the axis (all of them, if it isn't limited)
+    clipIndexes(axis) {
+        const boundaries = this.boundaries[axis], last = Math.max(0, boundaries.length - 1);
+        const range = this.clipping.ranges[this.axisDimensions[axis]];
+        const minIndex = range ? boundaryIndex(boundaries, range.min) : -1, maxIndex = range ? boundaryIndex(boundaries, range.max) : -1;
+        return [minIndex < 0 ? 0 : minIndex, maxIndex < 0 ? last : maxIndex];
+    }
+
+    isClipped(axis) { return this.clipping.enabled && this.clipping.ranges[this.axisDimensions[axis]] !== undefined; }
+
+    // A box with an open bound at the end of a range doesn't intersect it, e.g., "[red, blue)" doesn't intersect [blue, violet]
+    isInClipRanges(boxData) {
+        return AXES.every((axis, a) => {
+            if (!this.isClipped(axis)) return true;
+            const boundaries = this.boundaries[axis], [low, high] = this.clipIndexes(axis);
+            const minIndex = boundaryIndex(boundaries, boxData.minBounds[a]), maxIndex = boundaryIndex(boundaries, boxData.maxBounds[a]);
+            return (minIndex < high || (minIndex === high && !boxData.minOpen[a])) && (maxIndex > low || (maxIndex === low && !boxData.maxOpen[a]));
+        });
+    }
+
+    // --- Search ---
+    // A predicate with a boundary that is no longer in its dimension (after the data changes) matches nothing
+    isSearchMatch(boxData, search) {
+        if (!search) return true;
+        if (search.pattern && !search.pattern.test(boxData.text1)) return false;
+        return search.predicates.every(predicate => {
+            const boundaries = this.dimensions[predicate.dimension]?.boundaries;
+            if (!boundaries) return false;
+            if (SEARCH_PREDICATES[predicate.kind]?.takesBoundary && boundaryIndex(boundaries, predicate.boundary) < 0) return false;
+            return satisfiesPredicate(boxData, boundaries, predicate);
+        });
+    }
+
+    // The scale that fits the slice in the given size
+    sliceScale(axis, width, height, margin) {
+        const [uAxis, vAxis] = AXES.filter(other => other !== axis);
+        return Math.min((width - 2 * margin) / Math.max(this.axisLength(uAxis), 1), (height - 2 * margin) / Math.max(this.axisLength(vAxis), 1));
+    }
+}
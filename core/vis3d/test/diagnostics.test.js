@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagnose, regionText } from '../diagnostics.js';
+import { layoutOf } from './fixtures.js';
+
+// The problems found in the document's boxes, each kind as the text of its regions
+function problemsIn(dimensions, data) {
+    const { layout, boxes } = layoutOf(dimensions, data);
+    const report = diagnose(boxes, layout);
+    const texts = kind => report[kind].problems.map(problem => regionText(problem.region, layout));
+    return { overlaps: texts('overlaps'), gaps: texts('gaps'), compressible: texts('compressible'), gapsChecked: report.gapsChecked };
+}
+
+const x = { name: "x", type: "double", boundaries: ["0", "5", "10", "20"], values: [0, 5, 10, 20] };
+const y = { name: "y", boundaries: ["a", "b", "c"] };
+const z = { name: "z", boundaries: ["a", "b"] };
+
+test("finds nothing wrong with boxes that meet without overlapping", () => {
+    const problems = problemsIn([x, y, z], [
+        { min: ["0", "a", "a"], max: ["5", "c", "b"], maxOpen: [true, false, false], text1: "one" },
+        { min: ["5", "a", "a"], max: ["10", "c", "b"], text1: "two" }
+    ]);
+    assert.deepEqual(problems, { overlaps: [], gaps: [], compressible: [], gapsChecked: true });
+});
+
+test("finds overlapping boxes", () => {
+    const { overlaps } = problemsIn([x, y, z], [
+        { min: ["0", "a", "a"], max: ["5", "c", "b"], text1: "one" }, // closed at 5, like the start of the next one
+        { min: ["5", "a", "a"], max: ["10", "c", "b"], text1: "two" }
+    ]);
+    assert.deepEqual(overlaps, ["[5..5] × [a..c] × [a..b]"]);
+});
+
+test("finds gaps no box covers inside the region the boxes span", () => {
+    const { gaps } = problemsIn([x, y, z], [
+        { min: ["0", "a", "a"], max: ["5", "c", "b"], maxOpen: [true, false, false], text1: "one" },
+        { min: ["10", "a", "a"], max: ["20", "c", "b"], minOpen: [true, false, false], text1: "two" }
+    ]);
+    assert.deepEqual(gaps, ["[5..10] × [a..c] × [a..b]"]);
+});
+
+test("finds neighbors with the same value that would compress", () => {
+    const { compressible } = problemsIn([x, y, z], [
+        { min: ["0", "a", "a"], max: ["5", "c", "b"], maxOpen: [true, false, false], text1: "same" },
+        { min: ["5", "a", "a"], max: ["10", "c", "b"], text1: "same" },
+        { min: ["10", "a", "a"], max: ["20", "c", "b"], minOpen: [true, false, false], text1: "other" }
+    ]);
+    assert.deepEqual(compressible, ["[0..10] × [a..c] × [a..b]"]);
+});
+
+test("doesn't find neighbors with other bounds in other dimensions compressible", () => {
+    const { compressible } = problemsIn([x, y, z], [
+        { min: ["0", "a", "a"], max: ["5", "c", "b"], maxOpen: [true, false, false], text1: "same" },
+        { min: ["5", "a", "a"], max: ["10", "b", "b"], text1: "same" }
+    ]);
+    assert.deepEqual(compressible, []);
+});
+
+test("finds no gap between successors on a discrete axis, where neighbors meet", () => {
+    const time = { name: "time", type: "int", boundaries: ["0", "5", "6", "10"], successors: [false, true, false], values: [0, 5, 6, 10] };
+    const problems = problemsIn([time, y, z], [
+        { min: ["0", "a", "a"], max: ["5", "c", "b"], text1: "same" },
+        { min: ["6", "a", "a"], max: ["10", "c", "b"], text1: "same" }
+    ]);
+    assert.deepEqual(problems, { overlaps: [], gaps: [], compressible: ["[0..10] × [a..c] × [a..b]"], gapsChecked: true });
+});
+
+test("finds gaps between boundaries that aren't successors on a discrete axis", () => {
+    const time = { name: "time", type: "int", boundaries: ["0", "5", "8", "10"], values: [0, 5, 8, 10] };
+    const problems = problemsIn([time, y, z], [
+        { min: ["0", "a", "a"], max: ["5", "c", "b"], text1: "same" },
+        { min: ["8", "a", "a"], max: ["10", "c", "b"], text1: "same" }
+    ]);
+    assert.deepEqual(problems, { overlaps: [], gaps: ["(5..8) × [a..c] × [a..b]"], compressible: [], gapsChecked: true });
+});
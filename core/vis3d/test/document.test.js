@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataDocumentError, compareSnapshots, dataDocumentJson, parseDataDocument, parseDiffEvent } from '../document.js';
+
+const document2 = {
+    format: "intervalidus-vis3d", version: 2, title: "Versioned",
+    dimensions: [
+        { name: "version", type: "int", boundaries: ["0", "1", "+∞"], successors: [true, false], values: [0, 1, null] },
+        { name: "x", type: "date", boundaries: ["-∞", "2024-01-01", "2024-02-01", "+∞"] },
+        { name: "y", boundaries: ["a", "b"] }
+    ],
+    data: [
+        { min: ["0", "-∞", "a"], max: ["+∞", "2024-01-01", "b"], maxOpen: [false, true, false], text1: "a", text2: "[0..+∞) × (-∞..2024-01-01) × [a..b]" },
+        { min: ["1", "2024-01-01", "a"], max: ["+∞", "2024-02-01", "b"], text1: "b", number: 2 }
+    ]
+};
+
+test("parses version 2 dimensions and boxes", () => {
+    const { title, dimensions, boxes, beforeBoxes } = parseDataDocument(document2, "test");
+    assert.equal(title, "Versioned");
+    assert.deepEqual(dimensions.map(d => [d.name, d.type]), [["version", "int"], ["x", "date"], ["y", null]]);
+    assert.deepEqual(dimensions.map(d => d.successors), [[true, false], [false, false, false], [false]]); // none unless given
+    assert.deepEqual(dimensions[0].values, [0, 1, null]);
+    assert.deepEqual(dimensions[1].values, [null, null, null, null]); // unknown without values
+    assert.deepEqual(boxes[0].dimensionMinOpen, [false, false, false]);
+    assert.deepEqual(boxes[0].dimensionMaxOpen, [false, true, false]);
+    assert.equal(boxes[1].number, 2);
+    assert.equal(beforeBoxes, undefined);
+});
+
+test("parses version 1 axes as the dimensions x, y, and z", () => {
+    const { dimensions, boxes } = parseDataDocument({
+        format: "intervalidus-vis3d", version: 1,
+        axes: { x: ["a", "b"], y: ["c", "d"], z: ["e", "f"] }, axisValues: { x: [1, 2] },
+        data: [{ min: ["a", "c", "e"], max: ["b", "d", "f"], text: "old" }]
+    }, "test");
+    assert.deepEqual(dimensions.map(d => d.name), ["x", "y", "z"]);
+    assert.deepEqual(dimensions.map(d => [d.type, d.successors]), [[null, [false]], [null, [false]], [null, [false]]]);
+    assert.deepEqual(dimensions[0].values, [1, 2]);
+    assert.equal(boxes[0].text1, "old");
+});
+
+test("lists every problem of an invalid document", () => {
+    const invalid = {
+        format: "intervalidus-vis3d", version: 2,
+        dimensions: [
+            { name: "x", type: "color", boundaries: ["a", "b"] }, { name: "x", successors: [true, true], boundaries: ["a", "b"] },
+            { name: " ", boundaries: ["a", "a"] }
+        ],
+        data: []
+    };
+    assert.throws(() => parseDataDocument(invalid, "test"), error => {
+        assert.ok(error instanceof DataDocumentError);
+        assert.deepEqual(error.problems, [
+            '"dimensions[0].type" must be one of int, double, date, dateTime, string',
+            '"dimensions[1].successors" must be an array of 1 booleans (one for each boundary after the first)',
+            '"dimensions[2].name" must be a non-empty string',
+            '"dimensions[2].boundaries" boundaries must be distinct',
+            '"dimensions" names must be distinct'
+        ]);
+        return true;
+    });
+    assert.throws(() => parseDataDocument({ ...document2, dimensions: [] }, "test"), /at least one dimension/);
+});
+
+test("rejects boxes that are inverted, empty, or bounded outside their dimension", () => {
+    const withBox = box => ({ ...document2, data: [box] });
+    assert.throws(() => parseDataDocument(withBox({ min: ["1", "2024-02-01", "a"], max: ["0", "+∞", "b"] }), "test"), /version min is after its max/);
+    assert.throws(() => parseDataDocument(withBox({ min: ["1", "-∞", "a"], max: ["1", "+∞", "b"], minOpen: [true, false, false] }), "test"), /version interval is empty/);
+    assert.throws(() => parseDataDocument(withBox({ min: ["2", "-∞", "a"], max: ["+∞", "+∞", "b"] }), "test"), /version boundary "2" is not one of its boundaries/);
+});
+
+test("writes a document that parses the same", () => {
+    const parsed = parseDataDocument(document2, "test");
+    const reparsed = parseDataDocument(JSON.parse(JSON.stringify(dataDocumentJson(parsed))), "written");
+    assert.deepEqual(reparsed, parsed);
+});
+
+test("parses diff events", () => {
+    const { actions } = parseDiffEvent({
+        dimensions: document2.dimensions,
+        actions: [
+            { action: "update", box: { min: ["1", "2024-01-01", "a"], max: ["+∞", "+∞", "b"], text1: "b" } },
+            { action: "delete", key: ["0", "-∞", "a"] }
+        ]
+    }, 3, "test");
+    assert.deepEqual(actions.map(action => [action.action, action.key]), [
+        ["update", JSON.stringify([["1", "2024-01-01", "a"], [false, false, false]])],
+        ["delete", JSON.stringify([["0", "-∞", "a"], [false, false, false]])]
+    ]);
+    assert.throws(() => parseDiffEvent({ dimensions: document2.dimensions, actions: [] }, 4, "test"), /has 3 dimensions, not 4/);
+});
+
+test("compares snapshots by the start of each box", () => {
+    const { boxes } = parseDataDocument(document2, "test");
+    const [a, b] = boxes;
+    const changedB = { ...b, text1: "changed" }, created = { ...a, dimensionMin: ["1", "-∞", "a"] };
+    const compared = compareSnapshots([a, b], [changedB, created]);
+    assert.deepEqual(compared.map(entry => [entry.text1, entry.change, entry.side]), [
+        ["changed", 'updated', 'after'], ["a", 'created', 'after'], ["b", 'updated', 'before'], ["a", 'deleted', 'before']
+    ]);
+});
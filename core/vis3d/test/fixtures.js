@@ -0,0 +1,12 @@
+// Fixtures of the viewer's tests, which are run with Node's test runner: node --test core/vis3d/test/*.test.js
+import { AxisLayout } from '../layout.js';
+import { parseDataDocument } from '../document.js';
+
+// The layout of a document with these dimensions and data, with its boxes projected onto the displayed axes
+export function layoutOf(dimensions, data) {
+    const { dimensions: parsed, boxes } = parseDataDocument({ format: "intervalidus-vis3d", version: 2, dimensions, data }, "test");
+    const layout = new AxisLayout();
+    layout.setDimensions(parsed);
+    boxes.forEach(boxData => layout.projectBox(boxData));
+    return { layout, boxes };
+}
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FLAT_BOUNDARY, VISUAL_GRID_SPACING, axisPositions, compileSearch, remapSlot, slotText, tickLabels } from '../layout.js';
+import { layoutOf } from './fixtures.js';
+
+const versioned = layoutOf([
+    { name: "version", type: "int", boundaries: ["0", "1", "+∞"] },
+    { name: "x", type: "int", boundaries: ["-∞", "0", "5", "+∞"], values: [null, 0, 5, null] },
+    { name: "y", boundaries: ["a", "b"] },
+    { name: "z", boundaries: ["a", "b"] }
+], [
+    { min: ["0", "-∞", "a", "a"], max: ["+∞", "5", "b", "b"], maxOpen: [false, true, false, false], text1: "red" },
+    { min: ["1", "5", "a", "a"], max: ["+∞", "+∞", "b", "b"], text1: "blue" }
+]);
+
+test("displays the last three dimensions, filtering the others", () => {
+    const { layout } = versioned;
+    assert.equal(layout.mode(), '3d');
+    assert.deepEqual(layout.axisDimensions, { x: 1, y: 2, z: 3 });
+    assert.deepEqual(layout.filterDimensionIndexes(), [0]);
+    assert.equal(layout.axisTitle('x'), "X");
+    layout.setAxisDimension('x', 0);
+    assert.deepEqual(layout.axisDimensions, { x: 0, y: 2, z: 3 });
+    assert.equal(layout.axisTitle('x'), "X: version");
+    layout.setAxisDimension('x', 1);
+});
+
+test("filters boxes to those containing the filter point", () => {
+    const { layout, boxes } = versioned;
+    layout.startFilters(boxes);
+    assert.equal(layout.filterSlots[0], 0); // version 0, where the first box is
+    assert.deepEqual(boxes.filter(boxData => layout.isFilteredIn(boxData)).map(boxData => boxData.text1), ["red"]);
+    layout.filterSlots[0] = 2;
+    assert.deepEqual(boxes.filter(boxData => layout.isFilteredIn(boxData)).map(boxData => boxData.text1), ["red", "blue"]);
+});
+
+test("treats open bounds as excluding their boundary", () => {
+    const { layout, boxes: [red, blue] } = versioned;
+    // the slots of x: -∞, between, 0, between, 5, between, +∞
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6].map(slot => layout.containsSlot(red, 1, slot)), [true, true, true, true, false, false, false]);
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6].map(slot => layout.containsSlot(blue, 1, slot)), [false, false, false, false, true, true, true]);
+    assert.equal(slotText(layout.boundaries.x, 3), "between 0 and 5");
+    assert.equal(remapSlot(["a", "b", "c"], ["b", "c"], 3), 1); // still between b and c
+});
+
+test("has nothing between successors in a discrete dimension", () => {
+    const time = { name: "time", type: "int", boundaries: ["-∞", "0", "5", "6", "+∞"], values: [null, 0, 5, 6, null] };
+    const emptySlots = dimension => [0, 1, 2, 3, 4, 5, 6, 7, 8].filter(slot => layoutOf([dimension], []).layout.isEmptySlot('x', slot));
+    assert.deepEqual(emptySlots({ ...time, successors: [false, false, true, false] }), [5]); // between 5 and 6
+    assert.deepEqual(emptySlots(time), []);
+    assert.deepEqual(emptySlots({ ...time, successors: [false, true, false, false], values: undefined }), [3]); // whatever the values
+});
+
+test("searches by value and by predicates on bounds", () => {
+    const { layout, boxes } = versioned;
+    const matches = search => boxes.filter(boxData => layout.isSearchMatch(boxData, search)).map(boxData => boxData.text1);
+    assert.equal(compileSearch({}), null);
+    assert.deepEqual(matches(compileSearch({ text: "RE" })), ["red"]);
+    assert.deepEqual(matches(compileSearch({ text: "^b.*e$", regex: true })), ["blue"]);
+    assert.deepEqual(matches(compileSearch({ text: ".", regex: false })), []);
+    assert.throws(() => compileSearch({ text: "(", regex: true }), SyntaxError);
+    assert.deepEqual(matches(compileSearch({ predicates: [{ dimension: 1, kind: 'endsBefore', boundary: "5" }] })), ["red"]); // open at 5
+    assert.deepEqual(matches(compileSearch({ predicates: [{ dimension: 1, kind: 'contains', boundary: "5" }] })), ["blue"]);
+    assert.deepEqual(matches(compileSearch({ predicates: [{ dimension: 1, kind: 'unboundedAbove' }] })), ["blue"]);
+    assert.deepEqual(matches(compileSearch({ predicates: [{ dimension: 1, kind: 'startsAfter', boundary: "9" }] })), []); // no longer a boundary
+});
+
+test("clips boxes to the clipping ranges", () => {
+    const { layout, boxes } = versioned;
+    layout.clipping.enabled = true;
+    layout.setClipRange('x', 2, 3);
+    assert.deepEqual(layout.clipIndexes('x'), [2, 3]);
+    assert.deepEqual(boxes.filter(boxData => layout.isInClipRanges(boxData)).map(boxData => boxData.text1), ["blue"]); // red is open at 5
+    assert.equal(layout.displayBounds(boxes[1]).max[0], layout.positions.x[3]);
+    layout.setClipRange('x', 0, 3); // all of it
+    assert.equal(layout.isClipped('x'), false);
+    layout.clipping.enabled = false;
+});
+
+test("labels ticks by the type of their dimension", () => {
+    assert.deepEqual(tickLabels(["-∞", "2023-12-31", "2024-01-01", "2024-08-15", "+∞"], 'date'), ["-∞", "Dec 31, 2023", "Jan 1, 2024", "Aug 15", "+∞"]);
+    assert.deepEqual(tickLabels(["2024-01-01T00:00", "2024-01-01T10:15:30", "2024-01-02T09:00+02:00"], 'dateTime'),
+        ["Jan 1, 2024 00:00", "10:15:30", "Jan 2 09:00+02:00"]);
+    assert.deepEqual(tickLabels(["2024-01-01T00:00", "2024-01-02T00:00:00Z"], 'dateTime'), ["Jan 1, 2024", "Jan 2"]);
+    assert.deepEqual(tickLabels(["0.1234567", "0.1234999", "2.5"], 'double'), ["0.12346", "0.1235", "2.5"]);
+    assert.deepEqual(tickLabels(["a rather long enum value"], 'string'), ["a rather long e…"]);
+    assert.deepEqual(tickLabels(["a rather long enum value"], null), ["a rather long enum value"]);
+});
+
+test("spaces boundaries by their values when metric", () => {
+    const boundaries = ["-∞", "0", "1", "3", "+∞"], values = [null, 0, 1, 3, null];
+    assert.deepEqual(axisPositions(boundaries, values, 'ordinal'), [0, 1, 2, 3, 4].map(i => i * VISUAL_GRID_SPACING));
+    const metric = axisPositions(boundaries, values, 'metric');
+    assert.equal(metric[0], 0);
+    assert.ok(Math.abs((metric[2] - metric[1]) * 2 - (metric[3] - metric[2])) < 1e-9, String(metric));
+    assert.deepEqual(axisPositions(boundaries, [null, 0, null, 3, null], 'metric'), axisPositions(boundaries, values, 'ordinal')); // not available
+});
+
+test("spaces boundaries the same way on a log scale, whatever the units", () => {
+    const boundaries = ["a", "b", "c", "d"];
+    const logPositions = scale => axisPositions(boundaries, [0, 1, 2, 100].map(value => value * scale), 'log');
+    const expected = logPositions(1);
+    [0.00001, 1000000].forEach(scale => logPositions(scale).forEach((position, i) => assert.ok(Math.abs(position - expected[i]) < 1e-9, `${scale}: ${logPositions(scale)}`)));
+    const metric = axisPositions(boundaries, [0, 1, 2, 100], 'metric');
+    assert.ok(expected[1] - expected[0] > 10 * (metric[1] - metric[0]), "log spacing spreads out small values");
+});
+
+test("draws 2D data flat, with the Z axis at a single boundary", () => {
+    const { layout, boxes } = layoutOf([{ name: "x", boundaries: ["a", "b"] }, { name: "y", boundaries: ["c", "d"] }],
+        [{ min: ["a", "c"], max: ["b", "d"], text1: "v" }]);
+    assert.equal(layout.mode(), '2d');
+    assert.equal(layout.isFlat('z'), true);
+    assert.deepEqual(layout.boundaries.z, [FLAT_BOUNDARY]);
+    assert.deepEqual(boxes[0].minBounds, ["a", "c", FLAT_BOUNDARY]);
+    assert.deepEqual(layout.axisTicks('z'), []);
+});
+
+test("draws 1D data with a lane for each value", () => {
+    const { layout, boxes } = layoutOf([{ name: "time", boundaries: ["0", "5", "10"] }],
+        [{ min: ["0"], max: ["5"], maxOpen: [true], text1: "on" }, { min: ["5"], max: ["10"], text1: "off" }]);
+    assert.equal(layout.mode(), '1d');
+    assert.equal(layout.setLanes(["on", "off"]), true);
+    assert.equal(layout.setLanes(["on", "off"]), false);
+    assert.deepEqual(layout.axisTicks('y').map(tick => tick.label), ["on", "off"]);
+    const [on, off] = boxes.map(boxData => layout.displayBounds(boxData));
+    assert.ok(on.max[1] <= off.min[1], "lanes don't overlap");
+    assert.equal(layout.axisTitle('y'), "Value");
+});
@@ -0,0 +1,1566 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { AXES, VISUAL_GRID_SPACING, OPEN_BOUND_INSET, LANE_AXIS, AxisLayout, boundaryIndex, compileSearch, thinnedTickIndexes } from './layout.js';
+import { parseDataDocument, parseDiffEvent, dataDocumentJson, compareSnapshots, keyOfBox } from './document.js';
+import { diagnose } from './diagnostics.js';
+
+// The 3D viewer, which renders the non-metric representation of data in a container element, allowing it to be
+// rotated, sliced, and understood. The viewer page (index.html, see app.js) is one user of it, and any page can embed
+// it (any number of times), e.g.:
+//   const viewer = new Viewer(document.getElementById('view'));
+//   viewer.addEventListener('select', event => console.log(event.detail.boxData));
+//   viewer.load(dataDocument); // see document.js for the format
+//   viewer.setSlice('z', 2);
+// It fires these events (CustomEvents, with the detail given):
+//   'hover' { boxData, clientX, clientY }: the mouse moved over a box (boxData is null when it isn't over one)
+//   'select' { boxData }: the selected box (null if none), after it is clicked, updated, or deleted
+//   'slice' { axis, index, boundary, indexOnly }: the slice (or what is in it) changed, where axis is null when not
+//     slicing, and indexOnly is set when only the slice index changed (e.g., while dragging the slice plane)
+//   'probe' { enabled, shown, slots, pointSlots, boxes }: the probe (or what is valid there) changed
+//   'load' { title, dimensionsChanged }: a data document or live update was applied
+//   'search' { active, matches }: the boxes shown that match the search (see setSearch) changed, or may have
+//   'diagnostics' { enabled, report }: the problems found (see setDiagnostics) changed, or may have
+//   'clip' { enabled, ranges }: the clipping box changed, where ranges has the first and last boundary index on each axis
+//   'camera' { position, target, projection, zoom }: the camera moved (see setCamera), after it is dragged, not during
+// With the focus on its canvas, it is controlled by keys too (see KEY_ACTIONS). Data with fewer than three dimensions
+// is drawn flat (see the Flat Modes section). Only the viewer renders: the modules it reads, lays out, and diagnoses the
+// data with (document.js, layout.js, and diagnostics.js) can be used and tested without WebGL or a page.
+
+// --- Constants ---
+const LABEL_FONT_SIZE = 12; // in screen pixels, like every label font size
+const AXIS_TICK_LABEL_FONT_SIZE = 12;
+export const LABEL_TEXT_COLOR = 'white';
+const LABEL_BG_COLOR = 'rgba(0, 0, 0, 0.6)';
+export const AXIS_TICK_LABEL_COLOR = 'lightgray';
+const BOX_HELPER_COLOR = 0x00ff00; // used for every box when coloring by value is turned off
+const BOX_FILL_OPACITY = 0.25;
+export const PROJECTION_FILL_OPACITY = 0.35;
+const OPEN_EDGE_DASH_SIZE = VISUAL_GRID_SPACING * 0.06;
+const OPEN_EDGE_GAP_SIZE = VISUAL_GRID_SPACING * 0.04;
+const OPEN_TICK_LABEL_FONT_SIZE = 10;
+const SLICE_AXIS_DOT_COLOR = 0xffffff;
+const SELECTION_COLOR = 0xffffff;
+const PROBE_COLOR = 0xff00ff;
+const CLIP_COLOR = 0xffaa00;
+const LANE_SEPARATOR_COLOR = 0x444444;
+const CLICK_TOLERANCE_PX = 4; // a mouse press that moves further than this is a drag, not a click
+const MAX_PNG_SIZE = 8192;
+
+// --- Camera and Keyboard Control ---
+// The directions the camera can look from (see fitCamera), where the top view is nudged off the pole (straight down,
+// the orbit controls can't tell which way is up)
+const CAMERA_VIEWS = { default: [1, 0.8, 1], top: [0, 1, 0.001], front: [0, 0, 1], side: [1, 0, 0], iso: [1, 1, 1] };
+const FIT_DISTANCE = Math.hypot(...CAMERA_VIEWS.default); // times the largest axis length
+const ORBIT_POLE_MARGIN = 0.001; // radians
+const FLAT_FIT_MARGIN = 1.25; // how much more than the flat data the fitted view shows, leaving room for the axis labels
+const DEFAULT_CONTROL_SPEEDS = { zoom: 15, pan: 1, rotate: 1 };
+const KEY_ROTATE_STEP = Math.PI / 36; // 5 degrees, times the rotate speed
+const KEY_PAN_STEP = 0.05; // of the height seen, times the pan speed
+const keyZoomScale = viewer => Math.pow(0.95, -viewer.controls.zoomSpeed); // like a notch of the mouse wheel (see OrbitControls)
+// The action of each key (by its event.key, lower case for letters), where Shift with an arrow (or any arrow, when the
+// data is flat) pans rather than orbits
+const KEY_ACTIONS = {
+    ArrowLeft: viewer => viewer.orbitCamera(KEY_ROTATE_STEP * viewer.controls.rotateSpeed, 0),
+    ArrowRight: viewer => viewer.orbitCamera(-KEY_ROTATE_STEP * viewer.controls.rotateSpeed, 0),
+    ArrowUp: viewer => viewer.orbitCamera(0, KEY_ROTATE_STEP * viewer.controls.rotateSpeed),
+    ArrowDown: viewer => viewer.orbitCamera(0, -KEY_ROTATE_STEP * viewer.controls.rotateSpeed),
+    'Shift+ArrowLeft': viewer => viewer.panCamera(-KEY_PAN_STEP * viewer.controls.panSpeed, 0),
+    'Shift+ArrowRight': viewer => viewer.panCamera(KEY_PAN_STEP * viewer.controls.panSpeed, 0),
+    'Shift+ArrowUp': viewer => viewer.panCamera(0, KEY_PAN_STEP * viewer.controls.panSpeed),
+    'Shift+ArrowDown': viewer => viewer.panCamera(0, -KEY_PAN_STEP * viewer.controls.panSpeed),
+    '+': viewer => viewer.zoomCamera(keyZoomScale(viewer)),
+    '=': viewer => viewer.zoomCamera(keyZoomScale(viewer)),
+    '-': viewer => viewer.zoomCamera(1 / keyZoomScale(viewer)),
+    r: viewer => viewer.fitCamera(),
+    t: viewer => viewer.fitCamera('top'),
+    f: viewer => viewer.fitCamera('front'),
+    s: viewer => viewer.fitCamera('side'),
+    i: viewer => viewer.fitCamera('iso'),
+    o: viewer => viewer.setProjection(viewer.projection === 'perspective' ? 'orthographic' : 'perspective'),
+    x: viewer => viewer.toggleSliceAxis('x'),
+    y: viewer => viewer.toggleSliceAxis('y'),
+    z: viewer => viewer.toggleSliceAxis('z'),
+    '[': viewer => viewer.stepSlice(-1),
+    ']': viewer => viewer.stepSlice(1)
+};
+
+// --- Change Highlighting ---
+// The edges of changed boxes are drawn in the highlight color, which fades back to their value color. Deleted boxes fade away.
+const HIGHLIGHT_DURATION_MS = 1500;
+const CHANGED_BOX_COLOR = new THREE.Color(0xffff00);
+const DELETED_BOX_COLOR = new THREE.Color(0xff0000);
+const highlightColor = new THREE.Color(); // reused while fading
+
+// --- Search ---
+// Boxes that don't match the search are dimmed toward the background, and the camera flies to a match (see flyTo).
+const SEARCH_DIMMED_COLOR = new THREE.Color(0x222222);
+const SEARCH_DIM_AMOUNT = 0.8;
+const FLIGHT_DURATION_MS = 600;
+const FLIGHT_FRAME_SIZE = 1.5; // how much of the height seen the box takes up, inversely
+const MIN_FLIGHT_FRAME = VISUAL_GRID_SPACING; // so a flat or tiny box isn't zoomed in on too far
+
+// --- Diagnostics ---
+// Each kind of problem (see diagnostics.js) is shaded in its color
+export const DIAGNOSTIC_COLORS = { overlaps: 0xff3333, gaps: 0xdddddd, compressible: 0x33ccff };
+const DIAGNOSTIC_FILL_OPACITY = 0.3;
+
+// --- Before/After Comparison ---
+// A document with "before" boxes is compared with its data (see compareSnapshots). The overlay shows the boxes after
+// the change along with the deleted ones, colored by the kind of change. Side by side, the boxes before the change are
+// on the left and the boxes after it are on the right: both viewports are drawn with the same camera, so they share
+// the view, the slice, the filters, and so on.
+export const CHANGE_COLORS = { created: 0x33cc33, updated: 0xffbf00, deleted: 0xff3333, unchanged: 0x888888 };
+export const CHANGE_NAMES = { created: "Created", updated: "Updated", deleted: "Deleted", unchanged: "Unchanged" };
+const BEFORE_LAYER = 1, AFTER_LAYER = 2; // side by side, boxes on only one side are only seen in its viewport
+
+export function changeText(boxData) {
+    const name = CHANGE_NAMES[boxData.change];
+    return boxData.change === 'updated' ? `${name}, ${boxData.side}` : name;
+}
+
+// --- Value Colors ---
+// Boxes are colored by value (their text1) using a categorical palette, or on a gradient when every value is a number
+// (e.g., a DataMonoid heat map). Boxes with hidden values aren't shown.
+const CATEGORY_PALETTE = [0x4e79a7, 0xf28e2b, 0xe15759, 0x76b7b2, 0x59a14f, 0xedc948, 0xb07aa1, 0xff9da7, 0x9c755f, 0xbab0ac];
+export const GRADIENT_STOPS = [0x440154, 0x3b528b, 0x21918c, 0x5ec962, 0xfde725].map(color => new THREE.Color(color)); // viridis
+
+function gradientColor(fraction) {
+    const scaled = Math.min(1, Math.max(0, fraction)) * (GRADIENT_STOPS.length - 1);
+    const stop = Math.min(GRADIENT_STOPS.length - 2, Math.floor(scaled));
+    return GRADIENT_STOPS[stop].clone().lerp(GRADIENT_STOPS[stop + 1], scaled - stop);
+}
+
+export class Viewer extends EventTarget {
+    constructor(container, { showSlicePlane = true, projectSlice = true, controlSpeeds = {} } = {}) {
+        super();
+        this.container = container;
+        this.layout = new AxisLayout();
+        this.title = undefined;
+        this.boxes = []; // the box data displayed
+        this.boxVisuals = []; // { boxData, color, displayBox, batchEntry } of each box (see createBoxVisual)
+        this.boxVisualsByKey = new Map(); // see keyOfBox
+        this.slice = { axis: null, index: 0, showPlane: showSlicePlane, projection: projectSlice };
+        this.colorMode = 'category'; // 'category', 'gradient', or 'single'
+        this.categoryIndexes = new Map(); // value -> palette index, in order of appearance (so colors are stable in live updates)
+        this.numberRange = { min: 0, max: 0 };
+        this.hiddenValues = new Set();
+        this.afterBoxes = [];
+        this.comparedEntries = null; // when comparing, the box data of both snapshots with their change (see compareSnapshots)
+        this.comparisonView = 'off'; // 'off' (only the data after), 'overlay', or 'side'
+        this.activeHighlights = [];
+        this.selectedKey = null;
+        this.mouseDownAt = null;
+        this.drag = null; // { axis, initialIndex, startPoint, plane, moveTo } while the slice plane or a clipping box handle is dragged
+        this.mode = '3d'; // see the Flat Modes section
+        this.probe = { enabled: false, slots: { x: 0, y: 0, z: 0 } }; // see the Point Probe section
+        this.search = null; // see the Search section
+        this.diagnostics = { enabled: false, report: null }; // see the Diagnostics section
+        this.flight = null; // { from, to, startTime } while the camera flies to a box (see flyTo)
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+        this.labelsDirty = true;
+        this.axisLabels = []; // { name, ticks, widestTick } of each axis, where ticks has the labels at each tick (see createAxisVisuals)
+        this.axisVisualsGroup = null;
+        this.createScene();
+        this.setControlSpeeds({ ...DEFAULT_CONTROL_SPEEDS, ...controlSpeeds });
+
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0; // so it can have the focus, for keyboard control (see onKeyDown)
+        canvas.addEventListener('keydown', event => this.onKeyDown(event));
+        canvas.addEventListener('mousedown', event => this.onMouseDown(event));
+        canvas.addEventListener('mousemove', event => this.onMouseMove(event));
+        canvas.addEventListener('mouseup', () => this.endDrag());
+        canvas.addEventListener('mouseout', () => { this.endDrag(); this.hover(null); });
+        canvas.addEventListener('click', event => this.onClick(event));
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(container);
+        this.resize();
+        this.animate = this.animate.bind(this);
+        this.animationFrame = requestAnimationFrame(this.animate);
+    }
+
+    createScene() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x222222);
+
+        // The camera is framed around the data whenever a data document is loaded (see fitCamera). Only one of them is
+        // used at a time (see setProjection).
+        this.cameras = { perspective: new THREE.PerspectiveCamera(60, 1, 0.1, 1000), orthographic: new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000) };
+        this.camera = this.cameras.perspective;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.labelCanvas = document.createElement('canvas'); // see the Labels section
+        Object.assign(this.labelCanvas.style, { position: 'absolute', top: '0', left: '0', pointerEvents: 'none' });
+        if (getComputedStyle(this.container).position === 'static') this.container.style.position = 'relative'; // for the label canvas
+        this.container.append(this.renderer.domElement, this.labelCanvas);
+
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.addEventListener('change', () => this.labelsDirty = true);
+        this.controls.addEventListener('start', () => this.flight = null); // taking the controls ends a flight
+        this.controls.addEventListener('end', () => this.cameraChanged());
+
+        // To enable damping for smoother movement:
+        // this.controls.enableDamping = true;
+        // this.controls.dampingFactor = 0.05; // Optional: smoother controls
+
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.8); this.scene.add(ambientLight);
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.7);
+        directionalLight.position.set(1, 1.5, 1).normalize(); this.scene.add(directionalLight);
+
+        this.boxBatches = createBatchSet(() => new THREE.MeshLambertMaterial({ transparent: true, opacity: BOX_FILL_OPACITY, depthWrite: false }));
+        this.scene.add(this.boxBatches.group);
+
+        this.diagnosticsBatch = createBoxBatch(new THREE.MeshBasicMaterial({ transparent: true, opacity: DIAGNOSTIC_FILL_OPACITY, depthWrite: false }), 0, INITIAL_BATCH_CAPACITY);
+        this.scene.add(this.diagnosticsBatch.group);
+
+        this.fadingVisualsGroup = new THREE.Group(); // deleted boxes on their way out (see fadeOutVisual)
+        this.scene.add(this.fadingVisualsGroup);
+
+        // the boxes in the slice, flattened onto the slice plane
+        this.projectionBatches = createBatchSet(() => new THREE.MeshBasicMaterial({ transparent: true, opacity: PROJECTION_FILL_OPACITY, side: THREE.DoubleSide, depthWrite: false }));
+        this.scene.add(this.projectionBatches.group);
+
+        this.slicePlaneHelper = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial({ color: 0x00ffff, side: THREE.DoubleSide, transparent: true, opacity: 0.2, depthWrite: false }));
+        this.slicePlaneHelper.name = "SlicePlaneHelper"; this.scene.add(this.slicePlaneHelper); this.slicePlaneHelper.visible = false;
+        this.slicePlaneHelper.renderOrder = -1;
+
+        // --- Create Slice Axis Intersection Dot ---
+        const dotDisplaySize = VISUAL_GRID_SPACING * 0.05;
+        this.sliceAxisIntersectionDot = new THREE.Mesh(new THREE.SphereGeometry(dotDisplaySize, 16, 8), new THREE.MeshBasicMaterial({ color: SLICE_AXIS_DOT_COLOR }));
+        this.sliceAxisIntersectionDot.visible = false; this.scene.add(this.sliceAxisIntersectionDot);
+        // --- End Dot Creation ---
+
+        this.selectionHelper = new THREE.Box3Helper(new THREE.Box3(), SELECTION_COLOR); // outlines the selected box (see select)
+        this.selectionHelper.visible = false; this.scene.add(this.selectionHelper);
+        this.probeVisual = createProbeVisual(); this.probeVisual.visible = false; this.scene.add(this.probeVisual);
+        this.clipVisual = createClipVisual(); this.clipVisual.visible = false; this.scene.add(this.clipVisual);
+    }
+
+    dispatch(type, detail) { this.dispatchEvent(new CustomEvent(type, { detail })); }
+
+    // Stops rendering, and removes the viewer from its container, disposing of everything it drew
+    dispose() {
+        cancelAnimationFrame(this.animationFrame);
+        this.resizeObserver.disconnect();
+        this.controls.dispose();
+        disposeChildren(this.scene);
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        this.labelCanvas.remove();
+    }
+
+    // --- Camera ---
+    // Frames the camera (and orbit target) around the whole visualization, looking from the direction of the view (see
+    // CAMERA_VIEWS). Both cameras are framed the same way, so switching between them keeps the framing. Flat data is
+    // always seen from the front, filling the view.
+    fitCamera(view = 'default') {
+        this.flight = null;
+        const flat = this.isFlat();
+        if (flat) view = 'front';
+        const vizSizeX = this.layout.axisLength('x'), vizSizeY = this.layout.axisLength('y'), vizSizeZ = this.layout.axisLength('z');
+        const vizCenter = new THREE.Vector3(vizSizeX / 2, vizSizeY / 2, vizSizeZ / 2);
+        const maxVizDim = Math.max(vizSizeX, vizSizeY, vizSizeZ, 1);
+        const distance = maxVizDim * FIT_DISTANCE;
+
+        const { perspective, orthographic } = this.cameras;
+        perspective.far = orthographic.far = maxVizDim * 5;
+        const aspect = this.viewports()[0].width / this.height;
+        orthographic.top = flat ? Math.max(vizSizeY, vizSizeX / aspect, 1) / 2 * FLAT_FIT_MARGIN :
+            distance * Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2); // what the perspective camera sees at the center
+        this.camera.zoom = 1;
+        this.updateCameraAspect();
+        this.camera.position.copy(vizCenter).addScaledVector(new THREE.Vector3(...CAMERA_VIEWS[view]).normalize(), distance);
+        this.camera.lookAt(vizCenter);
+        this.controls.target.copy(vizCenter);
+        this.controls.update();
+        this.cameraChanged();
+    }
+
+    // Switches between the 'perspective' and 'orthographic' cameras, keeping what is seen at the orbit target the same
+    // size: the orthographic camera zooms to match the distance of the perspective one, and the perspective camera moves
+    // to match the zoom of the orthographic one. Flat data is only seen orthographically.
+    setProjection(projection) {
+        if (projection === this.projection || (projection === 'perspective' && this.isFlat())) return;
+        const { perspective, orthographic } = this.cameras;
+        const from = this.camera, to = this.cameras[projection], target = this.controls.target;
+        const halfHeightAtOne = Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2); // what the perspective camera sees one unit away
+        to.position.copy(from.position);
+        to.quaternion.copy(from.quaternion);
+        if (to === orthographic) orthographic.zoom = orthographic.top / (from.position.distanceTo(target) * halfHeightAtOne);
+        else perspective.position.sub(target).setLength(orthographic.top / orthographic.zoom / halfHeightAtOne).add(target);
+        perspective.zoom = 1;
+        this.camera = to;
+        this.controls.object = to;
+        this.updateCameraAspect();
+        this.controls.update();
+        this.labelsDirty = true;
+        this.cameraChanged();
+    }
+
+    get projection() { return this.camera.isOrthographicCamera ? 'orthographic' : 'perspective'; }
+
+    // Moves the camera to the position (an [x, y, z] array), looking at the target, in display coordinates. The zoom is
+    // that of the orthographic camera (see setProjection).
+    setCamera({ position, target, projection, zoom } = {}) {
+        this.flight = null;
+        if (projection) this.setProjection(projection);
+        if (target) this.controls.target.fromArray(target);
+        if (position) this.camera.position.fromArray(position);
+        if (zoom && this.camera.isOrthographicCamera) { this.camera.zoom = zoom; this.camera.updateProjectionMatrix(); }
+        this.controls.update();
+        this.cameraChanged();
+    }
+
+    getCamera() {
+        return { position: this.camera.position.toArray(), target: this.controls.target.toArray(), projection: this.projection, zoom: this.camera.zoom };
+    }
+
+    cameraChanged() { this.dispatch('camera', this.getCamera()); }
+
+    // How fast the camera zooms, pans, and rotates with the mouse and keys, where 1 is the OrbitControls default
+    setControlSpeeds({ zoom = this.controls.zoomSpeed, pan = this.controls.panSpeed, rotate = this.controls.rotateSpeed } = {}) {
+        Object.assign(this.controls, { zoomSpeed: zoom, panSpeed: pan, rotateSpeed: rotate });
+    }
+
+    getControlSpeeds() { return { zoom: this.controls.zoomSpeed, pan: this.controls.panSpeed, rotate: this.controls.rotateSpeed }; }
+
+    // Rotates the camera around the orbit target by the angles (in radians): left around it, and up toward the top view
+    // (unless the data is flat)
+    orbitCamera(left, up) {
+        if (this.isFlat()) return;
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta -= left;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi - up, ORBIT_POLE_MARGIN, Math.PI - ORBIT_POLE_MARGIN);
+        this.camera.position.setFromSpherical(spherical).add(this.controls.target);
+        this.controls.update();
+        this.cameraChanged();
+    }
+
+    // Moves the camera and the orbit target across the view, right and up by fractions of the height seen at the target
+    panCamera(right, up) {
+        const height = this.camera.isOrthographicCamera ? (this.camera.top - this.camera.bottom) / this.camera.zoom :
+            2 * this.camera.position.distanceTo(this.controls.target) * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const move = new THREE.Vector3(right * height, up * height, 0).applyQuaternion(this.camera.quaternion);
+        this.camera.position.add(move);
+        this.controls.target.add(move);
+        this.controls.update();
+        this.cameraChanged();
+    }
+
+    // Zooms in by the scale (or out, when it is less than 1), like the mouse wheel
+    zoomCamera(scale) {
+        if (this.camera.isOrthographicCamera) { this.camera.zoom *= scale; this.camera.updateProjectionMatrix(); }
+        else this.camera.position.sub(this.controls.target).divideScalar(scale).add(this.controls.target);
+        this.controls.update();
+        this.cameraChanged();
+    }
+
+    // --- Keyboard Control ---
+    // Handles a key (see KEY_ACTIONS), returning whether it did. The canvas gets the keys when it has the focus, and a page
+    // may pass others on too (e.g., every key pressed outside of its form fields).
+    onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) return false;
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const action = KEY_ACTIONS[(event.shiftKey || this.isFlat()) && key.startsWith('Arrow') ? `Shift+${key}` : key];
+        if (!action) return false;
+        event.preventDefault();
+        this.flight = null;
+        action(this);
+        return true;
+    }
+
+    // Slices on the axis, or if it is already the slice axis, stops slicing
+    toggleSliceAxis(axis) { this.setSlice(this.slice.axis === axis ? null : axis); }
+
+    // Moves the slice by a number of boundaries, like dragging the slice plane does
+    stepSlice(steps) { if (this.slice.axis) this.setSlice(this.slice.axis, this.slice.index + steps); }
+
+    // --- Flat Modes ---
+    // Data with fewer than three dimensions is drawn flat (see the Flat Axes section of layout.js): 2D data as a map, and
+    // 1D data as a timeline with a lane for each value. It is seen from the front with the orthographic camera, where
+    // dragging (or the arrow keys) pans rather than rotates, and there is nothing to slice.
+    isFlat() { return this.mode !== '3d'; }
+
+    // Called after the dimensions change, returning whether the mode did
+    updateMode() {
+        const mode = this.layout.mode();
+        if (mode === this.mode) return false;
+        this.mode = mode;
+        const flat = this.isFlat();
+        this.controls.enableRotate = !flat;
+        this.controls.mouseButtons.LEFT = flat ? THREE.MOUSE.PAN : THREE.MOUSE.ROTATE;
+        this.controls.touches.ONE = flat ? THREE.TOUCH.PAN : THREE.TOUCH.ROTATE;
+        this.setProjection(flat ? 'orthographic' : 'perspective');
+        if (flat) this.slice.axis = null;
+        return true;
+    }
+
+    // Gives each value its lane with 1D data, in the order of their colors, returning whether the lanes changed
+    updateLanes() {
+        const values = [...new Set(this.boxes.map(boxData => boxData.text1))].sort((a, b) => this.categoryIndex(a) - this.categoryIndex(b));
+        return this.layout.setLanes(values);
+    }
+
+    // --- Data Loading ---
+    // Replaces the data with a (parsed JSON) data document, throwing a DataDocumentError if it isn't valid (in which case
+    // whatever was displayed before remains). With keepView, the camera stays put (and the slice stays on the same boundary).
+    load(json, { source = "data", keepView = false } = {}) {
+        const dataDocument = parseDataDocument(json, source);
+        let dimensionsChanged;
+        this.title = dataDocument.title;
+        this.withSliceBoundaryKept(() => {
+            dimensionsChanged = !this.layout.setDimensions(dataDocument.dimensions);
+            const modeChanged = this.updateMode();
+            this.setComparedSnapshots(dataDocument.beforeBoxes, dataDocument.boxes, keepView);
+            this.boxes = this.comparedBoxes().map(boxData => this.layout.projectBox(boxData));
+            if (!keepView) this.resetValueColors();
+            this.rebuildVisuals();
+            if (!keepView || modeChanged) this.fitCamera();
+        });
+        this.dispatch('load', { title: this.title, dimensionsChanged });
+    }
+
+    // Replaces every box visual (and the axes), e.g., after the boxes or the displayed dimensions change
+    rebuildVisuals() {
+        this.boxVisuals = [];
+        this.boxVisualsByKey.clear();
+        this.updateLanes();
+        this.boxes.forEach(boxData => this.addBoxVisual(boxData));
+        this.layout.startFilters(this.boxes);
+        this.updateValueColors();
+        this.createAxisVisuals();
+    }
+
+    // Runs an update that may change the axis boundaries, keeping the slice on the same boundary value (if it remains)
+    withSliceBoundaryKept(update) {
+        const { axis } = this.slice;
+        const sliceBoundary = axis ? this.layout.boundaries[axis][this.slice.index] : undefined;
+        update();
+        const sliceIndex = axis ? this.layout.boundaries[axis].indexOf(sliceBoundary) : -1;
+        if (sliceIndex >= 0) this.slice.index = sliceIndex;
+        this.clampSliceIndex();
+        this.updateClipVisual();
+        this.updateSlice();
+        this.updateInspection();
+        this.updateDiagnostics();
+    }
+
+    // The data as a version 2 document, including the snapshot before when comparing
+    dataDocument() {
+        return dataDocumentJson({
+            title: this.title, dimensions: this.layout.dimensions,
+            boxes: this.comparedEntries ? this.afterBoxes : this.boxes,
+            beforeBoxes: this.comparedEntries?.filter(boxData => boxData.side !== 'after')
+        });
+    }
+
+    // --- Live Updates ---
+    // Applies a (parsed JSON) diff event (see parseDiffEvent) to individual box visuals, leaving the rest of the scene
+    // (and the view) alone
+    applyDiff(json, { source = "live update" } = {}) {
+        const { dimensions, actions } = parseDiffEvent(json, this.layout.dimensions.length, source);
+
+        // Replaced and deleted visuals go first, so they are never laid out against the new axes
+        const removed = new Set();
+        actions.forEach(({ action, key }) => {
+            const existing = this.boxVisualsByKey.get(key);
+            if (!existing) {
+                if (action !== 'create') console.warn(`Live ${action} of unknown box ${key} (out of sync?)`);
+                return;
+            }
+            this.boxVisualsByKey.delete(key); removed.add(existing);
+            if (action === 'delete') this.fadeOutVisual(existing);
+        });
+        this.boxVisuals = this.boxVisuals.filter(visual => !removed.has(visual));
+        let dimensionsChanged;
+        this.withSliceBoundaryKept(() => {
+            const { axisDimensions } = this.layout;
+            const axesChanged = AXES.some(axis =>
+                JSON.stringify(dimensions[axisDimensions[axis]]) !== JSON.stringify(this.layout.dimensions[axisDimensions[axis]]));
+            dimensionsChanged = !this.layout.setDimensions(dimensions);
+            // Other dimensions may be displayed now (the axes are reset), so the boxes kept are projected again
+            if (dimensionsChanged) this.boxVisuals.forEach(visual => this.layout.projectBox(visual.boxData));
+            if (axesChanged || dimensionsChanged) this.boxVisuals.forEach(visual => this.layoutBoxVisual(visual));
+            const changedVisuals = actions.filter(({ boxData }) => boxData).map(({ boxData }) => this.addBoxVisual(this.layout.projectBox(boxData)));
+            this.boxes = this.boxVisuals.map(visual => visual.boxData);
+            if (this.updateLanes()) this.boxVisuals.forEach(visual => this.layoutBoxVisual(visual)); // a value came or went
+            this.layout.startFilters(this.boxes); // filter points depend on the boxes too
+            this.updateValueColors(); // a new value or number may change the colors of other boxes too
+            changedVisuals.forEach(visual => this.highlightVisual(visual));
+            this.createAxisVisuals(); // open/closed ticks depend on the boxes, even when the boundaries stay the same
+        });
+        this.dispatch('load', { title: this.title, dimensionsChanged });
+    }
+
+    highlightVisual(visual) {
+        this.activeHighlights = this.activeHighlights.filter(highlight => highlight.visual !== visual);
+        this.activeHighlights.push({ visual, startTime: performance.now(), fadeOut: false });
+        setEdgesColor(visual, CHANGED_BOX_COLOR);
+    }
+
+    // A deleted box is no longer drawn with the other boxes, so while it fades away, it has a batch of its own
+    fadeOutVisual(visual) {
+        this.activeHighlights = this.activeHighlights.filter(highlight => highlight.visual !== visual);
+        const batch = createBoxBatch(new THREE.MeshLambertMaterial({ transparent: true, opacity: BOX_FILL_OPACITY, depthWrite: false }), 0, 1);
+        fillBatch(batch, [{ visual, box3: visual.displayBox, flatAxisIndex: -1, layer: 0 }]);
+        fadingMaterials(batch).forEach(material => { material.transparent = true; material.userData.fadeFromOpacity = material.opacity; });
+        setEdgesColor(visual, DELETED_BOX_COLOR);
+        this.fadingVisualsGroup.add(batch.group);
+        this.activeHighlights.push({ visual, startTime: performance.now(), fadeOut: true });
+    }
+
+    updateHighlights(now) {
+        this.activeHighlights = this.activeHighlights.filter(({ visual, startTime, fadeOut }) => {
+            const progress = Math.min(1, (now - startTime) / HIGHLIGHT_DURATION_MS);
+            if (fadeOut) {
+                const { batch } = visual.batchEntry;
+                fadingMaterials(batch).forEach(material => material.opacity = material.userData.fadeFromOpacity * (1 - progress));
+                if (progress >= 1) { this.fadingVisualsGroup.remove(batch.group); disposeChildren(batch.group); }
+            } else {
+                setEdgesColor(visual, highlightColor.copy(CHANGED_BOX_COLOR).lerp(visual.color, progress));
+            }
+            return progress < 1;
+        });
+    }
+
+    // --- Dimensions and Axes ---
+    setAxisDimension(axis, dimensionIndex) {
+        this.withSliceBoundaryKept(() => {
+            this.layout.setAxisDimension(axis, dimensionIndex);
+            this.boxes.forEach(boxData => this.layout.projectBox(boxData));
+            this.rebuildVisuals();
+            this.fitCamera();
+        });
+    }
+
+    // Moves the filter of a dimension that isn't displayed to the slot (see the Slots section of layout.js)
+    setFilterSlot(dimensionIndex, slot) {
+        this.layout.filterSlots[dimensionIndex] = slot;
+        this.updateSlice();
+        this.updateProbe();
+        this.updateDiagnostics();
+    }
+
+    // Spaces the boundaries of the axis by mode: 'ordinal', 'metric', or 'log' (see axisPositions)
+    setAxisSpacing(axis, mode) {
+        this.layout.setSpacing(axis, mode);
+        this.boxVisuals.forEach(visual => this.layoutBoxVisual(visual));
+        this.createAxisVisuals();
+        this.updateClipVisual();
+        this.updateSlice();
+        this.updateInspection();
+        this.updateDiagnostics();
+    }
+
+    // --- Comparison ---
+    setComparedSnapshots(beforeBoxes, boxes, keepView) {
+        this.afterBoxes = boxes;
+        this.comparedEntries = beforeBoxes ? compareSnapshots(beforeBoxes, boxes) : null;
+        if (!this.comparedEntries) this.comparisonView = 'off';
+        else if (!keepView || this.comparisonView === 'off') this.comparisonView = 'overlay';
+        this.updateCameraAspect();
+        this.labelsDirty = true;
+    }
+
+    // The boxes displayed in the comparison view: the overlay leaves out the boxes before an update
+    comparedBoxes() {
+        if (!this.comparedEntries || this.comparisonView === 'off') return this.afterBoxes;
+        return this.comparedEntries.filter(boxData => this.comparisonView === 'side' || boxData.side !== 'before' || boxData.change === 'deleted');
+    }
+
+    setComparisonView(view) {
+        this.comparisonView = view;
+        this.withSliceBoundaryKept(() => {
+            this.boxes = this.comparedBoxes().map(boxData => this.layout.projectBox(boxData));
+            this.rebuildVisuals();
+        });
+        this.updateCameraAspect(); // which depends on the viewport width
+        this.labelsDirty = true;
+    }
+
+    isComparing() { return this.comparisonView !== 'off'; }
+
+    // The number of boxes with each kind of change (null when not comparing)
+    comparisonCounts() {
+        if (!this.comparedEntries) return null;
+        const counts = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+        this.comparedEntries.filter(boxData => boxData.side !== 'before' || boxData.change === 'deleted').forEach(boxData => counts[boxData.change]++);
+        return counts;
+    }
+
+    // While comparing, boxes are colored by their change rather than by their value
+    boxColor(boxData) {
+        const color = this.isComparing() && boxData.change ? new THREE.Color(CHANGE_COLORS[boxData.change]) : this.valueColor(boxData);
+        return this.layout.isSearchMatch(boxData, this.search) ? color : color.lerp(SEARCH_DIMMED_COLOR, SEARCH_DIM_AMOUNT);
+    }
+
+    // Side by side, a box on only one side of the comparison is drawn on the layer of that side's viewport
+    comparisonLayer(boxData) {
+        return this.comparisonView !== 'side' ? 0 : { before: BEFORE_LAYER, after: AFTER_LAYER }[boxData.side] ?? 0;
+    }
+
+    // The width of each viewport: side by side, the left viewport shows the boxes before, and the right one, the boxes after
+    viewports(width = this.width) {
+        const half = Math.floor(width / 2);
+        if (this.comparisonView !== 'side') return [{ left: 0, width, layer: 0 }];
+        return [{ left: 0, width: half, layer: BEFORE_LAYER }, { left: half, width: width - half, layer: AFTER_LAYER }];
+    }
+
+    // Renders the scene in each viewport of a canvas of the given size (which is the container size, except when exporting)
+    render(canvasWidth = this.width, height = this.height) {
+        const { renderer, scene, camera } = this;
+        const all = this.viewports(canvasWidth);
+        if (all.length === 1) { renderer.render(scene, camera); return; }
+        renderer.setScissorTest(true);
+        all.forEach(({ left, width, layer }) => {
+            renderer.setViewport(left, 0, width, height); renderer.setScissor(left, 0, width, height);
+            camera.layers.set(0); camera.layers.enable(layer);
+            renderer.render(scene, camera);
+        });
+        camera.layers.set(0);
+        renderer.setScissorTest(false); renderer.setViewport(0, 0, canvasWidth, height);
+    }
+
+    // Points the raycaster at the mouse, within the viewport the mouse is over (seeing only the boxes shown there)
+    setRaycasterFromEvent(event) {
+        const bounds = this.renderer.domElement.getBoundingClientRect();
+        const x = event.clientX - bounds.left, y = event.clientY - bounds.top;
+        const viewport = this.viewports().findLast(({ left }) => x >= left) ?? this.viewports()[0];
+        this.mouse.x = ((x - viewport.left) / viewport.width) * 2 - 1;
+        this.mouse.y = -(y / this.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        this.raycaster.layers.set(0); this.raycaster.layers.enable(viewport.layer);
+    }
+
+    // --- Value Colors ---
+    // A new document starts with fresh colors, all values shown, and a gradient if the values are all numbers
+    resetValueColors() {
+        this.categoryIndexes.clear();
+        this.hiddenValues.clear();
+        this.colorMode = this.gradientAvailable() ? 'gradient' : 'category';
+    }
+
+    gradientAvailable() { return this.boxes.length > 0 && this.boxes.every(boxData => boxData.number !== undefined); }
+
+    categoryIndex(value) {
+        if (!this.categoryIndexes.has(value)) this.categoryIndexes.set(value, this.categoryIndexes.size);
+        return this.categoryIndexes.get(value);
+    }
+
+    categoryColor(value) {
+        const index = this.categoryIndex(value);
+        if (index < CATEGORY_PALETTE.length) return new THREE.Color(CATEGORY_PALETTE[index]);
+        return new THREE.Color().setHSL((index * 0.618034) % 1, 0.6, 0.55); // golden ratio steps keep later hues apart
+    }
+
+    valueColor(boxData) {
+        if (this.colorMode === 'single') return new THREE.Color(BOX_HELPER_COLOR);
+        if (this.colorMode === 'gradient' && boxData.number !== undefined) {
+            const { min, max } = this.numberRange;
+            return gradientColor(max > min ? (boxData.number - min) / (max - min) : 0.5);
+        }
+        return this.categoryColor(boxData.text1);
+    }
+
+    isValueShown(boxData) { return !this.hiddenValues.has(boxData.text1); }
+
+    // Recolors the boxes after the data (or the color mode) changes
+    updateValueColors() {
+        if (this.colorMode === 'gradient' && !this.gradientAvailable()) this.colorMode = 'category';
+        this.numberRange = this.boxes.reduce((range, { number }) => number === undefined ? range :
+            { min: Math.min(range.min, number), max: Math.max(range.max, number) }, { min: Infinity, max: -Infinity });
+        this.boxVisuals.forEach(visual => visual.color = this.boxColor(visual.boxData)); // drawn when the batches are refilled (see updateSlice)
+    }
+
+    // Colors boxes by mode: 'category', 'gradient' (when every box has a number), or 'single'
+    setColorMode(mode) {
+        this.colorMode = mode;
+        this.updateValueColors();
+        this.updateSlice(); // the projection is colored too
+    }
+
+    // Each value once, with the number of boxes that have it, ordered by number on a gradient, and otherwise by appearance
+    legendValues() {
+        const entries = new Map();
+        this.boxes.forEach(boxData => {
+            const entry = entries.get(boxData.text1);
+            if (entry) entry.count++; else entries.set(boxData.text1, { value: boxData.text1, count: 1, boxData });
+        });
+        const byOrder = this.colorMode === 'gradient' ?
+            (a, b) => a.boxData.number - b.boxData.number :
+            (a, b) => this.categoryIndex(a.value) - this.categoryIndex(b.value);
+        return [...entries.values()].sort(byOrder);
+    }
+
+    // Hides or shows the boxes with the value
+    toggleValue(value) {
+        if (!this.hiddenValues.delete(value)) this.hiddenValues.add(value);
+        this.updateSlice();
+    }
+
+    // Shows only the boxes with the value or, when they already are the only ones shown, every box again
+    isolateValue(value) {
+        const others = this.legendValues().map(entry => entry.value).filter(other => other !== value);
+        const isolated = !this.hiddenValues.has(value) && others.every(other => this.hiddenValues.has(other));
+        this.hiddenValues.clear();
+        if (!isolated) others.forEach(other => this.hiddenValues.add(other));
+        this.updateSlice();
+    }
+
+    showAllValues() {
+        this.hiddenValues.clear();
+        this.updateSlice();
+    }
+
+    // --- Visualization Creation ---
+    // A box visual is what is drawn for a box: its color and display bounds, and its entry in the batch it is drawn in
+    // while it is shown (see the Box Batches section)
+    createBoxVisual(boxData) {
+        const visual = { boxData, color: this.boxColor(boxData), displayBox: null, displayOpen: null, batchEntry: null };
+        this.layoutBoxVisual(visual);
+        return visual;
+    }
+
+    boxDisplayBounds(boxData) {
+        const { min, max } = this.layout.displayBounds(boxData);
+        return new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max));
+    }
+
+    // Repositions an existing box visual after the axis boundaries (or the clipping box) change (it is drawn there once the
+    // batches are refilled)
+    layoutBoxVisual(visual) {
+        const { min, max, minOpen, maxOpen } = this.layout.displayBounds(visual.boxData);
+        visual.displayBox = new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max));
+        visual.displayOpen = { minOpen, maxOpen }; // a face cut by the clipping box is drawn closed
+    }
+
+    addBoxVisual(boxData) {
+        const visual = this.createBoxVisual(boxData);
+        this.boxVisuals.push(visual);
+        this.boxVisualsByKey.set(keyOfBox(boxData), visual);
+        return visual;
+    }
+
+    // Draws the visuals as boxes, or with a projected axis, as their rectangles on the slice plane at the given coordinate
+    // (and flat data as the rectangles it already is)
+    showVisuals(visuals, projectedAxis = null, sliceCoord = 0) {
+        const flatAxisIndex = AXES.indexOf(projectedAxis ?? (this.isFlat() ? 'z' : null));
+        const entries = visuals.map(visual => {
+            const box3 = projectedAxis ? visual.displayBox.clone() : visual.displayBox;
+            if (projectedAxis) { box3.min[projectedAxis] = sliceCoord; box3.max[projectedAxis] = sliceCoord; }
+            return { visual, box3, flatAxisIndex, layer: this.comparisonLayer(visual.boxData) };
+        });
+        fillBatchSet(projectedAxis ? this.boxBatches : this.projectionBatches, []);
+        fillBatchSet(projectedAxis ? this.projectionBatches : this.boxBatches, entries);
+        this.projectionBatches.group.visible = !!projectedAxis;
+        this.labelsDirty = true;
+    }
+
+    // The batches where the boxes are shown (which are inspected, see pickBox)
+    shownBatches() { return (this.projectionBatches.group.visible ? this.projectionBatches : this.boxBatches).batches; }
+
+    // The axis lines, and the labels of their ticks and names (see the Labels section), with lines between the lanes of 1D data
+    createAxisVisuals() {
+        if (this.axisVisualsGroup) { this.scene.remove(this.axisVisualsGroup); disposeChildren(this.axisVisualsGroup); }
+        this.axisVisualsGroup = new THREE.Group(); this.axisVisualsGroup.name = "AxisVisuals";
+        this.axisLabels = [];
+        const { layout } = this;
+
+        const addAxis = (axisChar, color) => {
+            const visualLength = layout.axisLength(axisChar);
+            if (visualLength === 0) return; // a single boundary, or a flat axis without lanes
+            const kinds = layout.boundaryKinds(axisChar, this.boxes);
+            const linePoints = [new THREE.Vector3(), new THREE.Vector3()];
+            linePoints[1][axisChar] = visualLength;
+            this.axisVisualsGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(linePoints), new THREE.LineBasicMaterial({color})));
+            const ticks = layout.axisTicks(axisChar).map(({ boundary, label: tickLabel, coord }, index) => {
+                const tickPos = new THREE.Vector3();
+                tickPos[axisChar] = coord;
+                const offset = new THREE.Vector3();
+                if (axisChar === 'x') { offset.y = -VISUAL_GRID_SPACING*0.2; }
+                else if (axisChar === 'y') { offset.x = -VISUAL_GRID_SPACING*0.2; }
+                else { offset.x = -VISUAL_GRID_SPACING*0.2; }
+                tickPos.add(offset);
+                const labels = [textLabel([tickLabel], tickPos, AXIS_TICK_LABEL_FONT_SIZE, AXIS_TICK_LABEL_COLOR)];
+                // Open bounds are drawn inset from the boundary, so they get their own (smaller, further out) ticks
+                const addOpenTick = (text, inset) => {
+                    const openTickPos = tickPos.clone().add(offset.clone().multiplyScalar(1.2));
+                    openTickPos[axisChar] += inset;
+                    labels.push(textLabel([text], openTickPos, OPEN_TICK_LABEL_FONT_SIZE, AXIS_TICK_LABEL_COLOR));
+                };
+                const kind = boundary === undefined ? {} : kinds[index]; // lanes have no bounds
+                if (kind.openEnd) addOpenTick(`${tickLabel})`, -OPEN_BOUND_INSET);
+                if (kind.openStart) addOpenTick(`(${tickLabel}`, OPEN_BOUND_INSET);
+                return labels;
+            });
+            const axisNamePos = new THREE.Vector3();
+            axisNamePos[axisChar] = visualLength + VISUAL_GRID_SPACING * 0.5;
+            const name = textLabel([layout.axisTitle(axisChar)], axisNamePos, AXIS_TICK_LABEL_FONT_SIZE * 1.2, `#${new THREE.Color(color).getHexString()}`, { bold: true });
+            this.axisLabels.push({ name, ticks, widestTick: null }); // widestTick is measured when first drawn
+        };
+        addAxis('x', 0xff0000); addAxis('y', 0x00ff00); addAxis('z', 0x0000ff);
+        if (layout.isLaneAxis(LANE_AXIS) && layout.lanes.size > 1) {
+            const separatorPoints = [...layout.lanes.values()].slice(1).flatMap(lane => [0, layout.axisLength('x')].map(x => new THREE.Vector3(x, lane * layout.laneSpacing, 0)));
+            this.axisVisualsGroup.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(separatorPoints), new THREE.LineBasicMaterial({ color: LANE_SEPARATOR_COLOR })));
+        }
+        this.scene.add(this.axisVisualsGroup);
+        this.labelsDirty = true;
+    }
+
+    // --- Labels ---
+    // Labels are drawn on a canvas over the scene, so only the ones that can be read are drawn: a box gets its label when
+    // it is big enough on screen, bigger boxes get theirs first, and a label that would overlap one already drawn is left
+    // out. Axis labels come first, with ticks thinned out so their labels (slanted when that fits more of them along an
+    // axis across the screen) keep apart. The labels are redrawn after the view or the boxes shown change.
+    updateLabels() {
+        this.labelsDirty = false;
+        this.labelContext.clearRect(0, 0, this.width, this.height);
+        this.drawLabels(this.labelContext, this.width, this.height);
+    }
+
+    // Draws the labels seen in each viewport on a 2D context the size of the canvas (without clearing it first)
+    drawLabels(context, width, height) {
+        const { camera } = this;
+        // For something one unit across (and, with perspective, one unit away)
+        const pixelsPerUnit = camera.isOrthographicCamera ? height * camera.zoom / (camera.top - camera.bottom) :
+            height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        this.viewports(width).forEach(viewport => {
+            const occupied = new Set();
+            let count = 0;
+            const toScreen = position => {
+                labelPosition.copy(position).project(camera);
+                return {
+                    x: viewport.left + (labelPosition.x + 1) / 2 * viewport.width, y: (1 - labelPosition.y) / 2 * height,
+                    inView: Math.abs(labelPosition.x) <= 1 && Math.abs(labelPosition.y) <= 1 && Math.abs(labelPosition.z) <= 1
+                };
+            };
+            const place = (label, angle = 0) => {
+                if (count >= MAX_LABELS || label.lines.length === 0) return;
+                const at = toScreen(label.position);
+                if (at.inView && drawLabel(context, label, at, viewport, occupied, angle)) count++;
+            };
+            // Ticks are thinned along the part of the axis in view (which, with perspective, is the part that can be projected)
+            this.axisLabels.forEach(axisLabel => {
+                const { name, ticks } = axisLabel;
+                place(name);
+                const shown = ticks.map(([label], index) => ({ index, at: toScreen(label.position) })).filter(({ at }) => at.inView);
+                if (shown.length === 0) return;
+                const first = shown[0].at, last = shown[shown.length - 1].at;
+                const length = Math.hypot(last.x - first.x, last.y - first.y);
+                const direction = length > 0 ? { x: (last.x - first.x) / length, y: (last.y - first.y) / length } : { x: 1, y: 0 };
+                axisLabel.widestTick ??= Math.max(...ticks.map(([label]) => labelWidth(context, label)));
+                const { angle, spacing } = tickLabelLayout(direction, axisLabel.widestTick, AXIS_TICK_LABEL_FONT_SIZE * LABEL_LINE_HEIGHT, length / Math.max(1, shown.length - 1));
+                const along = shown.map(({ at }) => (at.x - first.x) * direction.x + (at.y - first.y) * direction.y);
+                thinnedTickIndexes(along, spacing).forEach(i => ticks[shown[i].index].forEach(label => place(label, angle)));
+            });
+            const candidates = [];
+            this.shownBatches().filter(batch => batch.layer === 0 || batch.layer === viewport.layer).forEach(batch => batch.entries.forEach(entry => {
+                const distance = camera.isOrthographicCamera ? 1 : entry.box3.getCenter(labelPosition).distanceTo(camera.position);
+                const size = entry.box3.getSize(labelSize).length() / Math.max(distance, camera.near) * pixelsPerUnit;
+                if (size >= LABEL_MIN_BOX_PX && this.layout.isSearchMatch(entry.visual.boxData, this.search)) candidates.push({ entry, size });
+            }));
+            candidates.sort((a, b) => b.size - a.size).forEach(({ entry }) => {
+                const { text1, text2 } = entry.visual.boxData;
+                place(textLabel([text1, text2], entry.box3.getCenter(new THREE.Vector3()), LABEL_FONT_SIZE, LABEL_TEXT_COLOR, { bold: true, background: LABEL_BG_COLOR }));
+            });
+        });
+    }
+
+    // --- Slice Logic ---
+    // Slices on the axis ('x', 'y', or 'z', or null to show every box) at the boundary with the index (flat data isn't sliced)
+    setSlice(axis, index = this.slice.index) {
+        if (this.isFlat()) axis = null;
+        const indexOnly = axis === this.slice.axis;
+        this.slice.axis = axis;
+        this.slice.index = index;
+        this.clampSliceIndex();
+        this.updateSlice({ indexOnly });
+    }
+
+    getSlice() {
+        const { axis, index } = this.slice;
+        return { axis, index, boundary: axis ? this.layout.boundaries[axis][index] : undefined };
+    }
+
+    // Whether the slice plane is shown, and whether the slice is shown as a 2D projection (rather than as the boxes in it)
+    setSliceDisplay({ showPlane = this.slice.showPlane, projection = this.slice.projection } = {}) {
+        Object.assign(this.slice, { showPlane, projection });
+        this.updateSlice();
+    }
+
+    clampSliceIndex() {
+        const { axis } = this.slice;
+        const maxIndex = axis ? Math.max(0, this.layout.boundaries[axis].length - 1) : 0;
+        this.slice.index = Math.max(0, Math.min(maxIndex, this.slice.index));
+    }
+
+    // With indexOnly, only the slice index changed (e.g., while dragging the slice plane)
+    updateSlice({ indexOnly = false } = {}) {
+        const { axis, index } = this.slice;
+        if (!axis || index >= this.layout.boundaries[axis].length) {
+            this.showVisuals(this.boxVisuals.filter(visual => this.isShown(visual.boxData)));
+            this.slicePlaneHelper.visible = false;
+            this.sliceAxisIntersectionDot.visible = false;
+        } else {
+            this.updateSlicePlaneHelper(axis, index);
+            const inSlice = this.boxVisuals.filter(visual => this.isInSlice(visual.boxData, axis, index));
+            if (this.slice.projection) this.showVisuals(inSlice, axis, this.layout.positions[axis][index]);
+            else this.showVisuals(inSlice);
+        }
+        this.dispatch('slice', { ...this.getSlice(), indexOnly });
+        if (!indexOnly) this.dispatch('search', { active: this.search !== null, matches: this.searchMatches() });
+    }
+
+    // Whether the box is shown: its value is shown, it passes the filters, and it is inside the clipping box
+    isShown(boxData) { return this.isValueShown(boxData) && this.layout.isFilteredIn(boxData) && this.layout.isInClipRanges(boxData); }
+
+    // Whether the box is shown in the slice, containing the slice boundary
+    isInSlice(boxData, axis, sliceIndex) { return this.isShown(boxData) && this.layout.containsBoundary(boxData, axis, sliceIndex); }
+
+    // The slice at the boundary with the index drawn flat (see AxisLayout.sliceDrawing), with the color of each box. Side
+    // by side, the boxes before an update are left out, like in the overlay.
+    sliceDrawing(axis, sliceIndex, scale, margin) {
+        const boxes = this.boxes.filter(boxData => this.isInSlice(boxData, axis, sliceIndex) && !(boxData.change === 'updated' && boxData.side === 'before'));
+        const drawing = this.layout.sliceDrawing(boxes, axis, scale, margin);
+        drawing.boxes.forEach(box => box.color = `#${this.boxColor(box.boxData).getHexString()}`);
+        return drawing;
+    }
+
+    updateSlicePlaneHelper(axis, sliceIndex) {
+        const { slicePlaneHelper, layout } = this;
+        const isHelperVisible = this.slice.showPlane || this.slice.projection;
+        slicePlaneHelper.visible = isHelperVisible;
+        this.sliceAxisIntersectionDot.visible = isHelperVisible;
+        if (!isHelperVisible) return;
+
+        const displayCoord = layout.positions[axis][sliceIndex];
+        const vizSizeX = layout.axisLength('x'), vizSizeY = layout.axisLength('y'), vizSizeZ = layout.axisLength('z');
+        let planeWidth, planeHeight;
+        if (axis === 'x') { planeWidth = vizSizeY; planeHeight = vizSizeZ; }
+        else if (axis === 'y') { planeWidth = vizSizeX; planeHeight = vizSizeZ; }
+        else { planeWidth = vizSizeX; planeHeight = vizSizeY; }
+        if (slicePlaneHelper.geometry.parameters.width !== planeWidth + VISUAL_GRID_SPACING || slicePlaneHelper.geometry.parameters.height !== planeHeight + VISUAL_GRID_SPACING) {
+            if (slicePlaneHelper.geometry) slicePlaneHelper.geometry.dispose();
+            slicePlaneHelper.geometry = new THREE.PlaneGeometry(planeWidth + VISUAL_GRID_SPACING, planeHeight + VISUAL_GRID_SPACING);
+        }
+        const helperPosition = new THREE.Vector3(vizSizeX/2, vizSizeY/2, vizSizeZ/2);
+        helperPosition[axis] = displayCoord;
+        slicePlaneHelper.position.copy(helperPosition);
+        slicePlaneHelper.rotation.set(0,0,0);
+        if (axis === 'x') slicePlaneHelper.rotation.y = Math.PI / 2;
+        else if (axis === 'y') slicePlaneHelper.rotation.x = Math.PI / 2;
+        const dotPosition = new THREE.Vector3();
+        dotPosition[axis] = displayCoord;
+        this.sliceAxisIntersectionDot.position.copy(dotPosition);
+    }
+
+    // --- Mouse Dragging Logic for Slicing ---
+    onMouseDown(event) {
+        event.preventDefault();
+        this.mouseDownAt = { x: event.clientX, y: event.clientY };
+        this.hover(null);
+        this.setRaycasterFromEvent(event);
+
+        // A handle of the clipping box moves one of its faces, and the slice plane moves the slice
+        const hit = this.draggableHit();
+        const handle = hit?.object.userData.clipHandle;
+        if (handle) {
+            const { axis, side } = handle;
+            const initialIndex = this.layout.clipIndexes(axis)[side === 'min' ? 0 : 1];
+            this.startDrag(hit, axis, initialIndex, index => this.setClipRangeSide(axis, side, index));
+        } else if (hit) {
+            const { axis } = this.slice;
+            this.startDrag(hit, axis, this.slice.index, index => { if (index !== this.slice.index) this.setSlice(axis, index); });
+        }
+    }
+
+    // What can be dragged under the mouse (where the raycaster points): a clipping box handle, or else the slice plane
+    draggableHit() {
+        if (this.clipVisual.visible) {
+            const hit = this.raycaster.intersectObjects(this.clipVisual.children.filter(child => child.userData.clipHandle && child.visible), false)[0];
+            if (hit) return hit;
+        }
+        if (!this.slice.axis || !this.slicePlaneHelper.visible) return undefined;
+        return this.raycaster.intersectObject(this.slicePlaneHelper, false)[0];
+    }
+
+    // Starts dragging what was hit along the axis from the boundary with the index, moving to the boundary nearest to the mouse
+    startDrag(hit, axis, initialIndex, moveTo) {
+        this.controls.enabled = false;
+        this.renderer.domElement.style.cursor = 'grabbing';
+        const startPoint = hit.point.clone(); // World space intersection
+        const plane = new THREE.Plane();
+        this.camera.getWorldDirection(plane.normal);
+        plane.setFromNormalAndCoplanarPoint(plane.normal, startPoint);
+        this.drag = { axis, initialIndex, startPoint, plane, moveTo };
+    }
+
+    onMouseMove(event) {
+        event.preventDefault();
+        this.setRaycasterFromEvent(event);
+
+        if (!this.drag) this.renderer.domElement.style.cursor = this.draggableHit() ? 'grab' : 'default';
+
+        if (!this.drag) {
+            this.hover(event.buttons === 0 ? event : null); // no hovering while orbiting
+            return;
+        }
+
+        const { axis, initialIndex, startPoint, plane, moveTo } = this.drag;
+        if (this.raycaster.ray.intersectPlane(plane, planeIntersectPoint)) {
+            // Convert continuous displacement to the boundary nearest to where it was dragged
+            const displacement = planeIntersectPoint[axis] - startPoint[axis];
+            moveTo(this.layout.nearestBoundaryIndex(axis, this.layout.positions[axis][initialIndex] + displacement));
+        }
+    }
+
+    endDrag() {
+        if (this.drag) {
+            this.drag = null;
+            this.controls.enabled = true;
+            this.renderer.domElement.style.cursor = 'default';
+        }
+    }
+
+    // --- Clipping Box ---
+    // Shows only the boxes in a range on each axis, cut at its faces (see the Clipping section of layout.js). The ranges
+    // are kept while clipping is turned off. With clipping on, the box is outlined, with a handle on each face to drag.
+    setClipping(enabled) {
+        this.layout.clipping.enabled = enabled;
+        this.clipChanged();
+    }
+
+    // Limits the axis to the boundaries from one index to another (see AxisLayout.setClipRange)
+    setClipRange(axis, fromIndex, toIndex) {
+        this.layout.setClipRange(axis, fromIndex, toIndex);
+        this.clipChanged();
+    }
+
+    // Moves the 'min' or 'max' face of the clipping box on the axis to the boundary with the index, but not past the other face
+    setClipRangeSide(axis, side, index) {
+        const [minIndex, maxIndex] = this.layout.clipIndexes(axis);
+        if (side === 'min' && index !== minIndex) this.setClipRange(axis, Math.min(index, maxIndex), maxIndex);
+        if (side === 'max' && index !== maxIndex) this.setClipRange(axis, minIndex, Math.max(index, minIndex));
+    }
+
+    resetClipRanges() {
+        this.layout.clipping.ranges = [];
+        this.clipChanged();
+    }
+
+    getClipping() {
+        return { enabled: this.layout.clipping.enabled, ranges: Object.fromEntries(AXES.map(axis => [axis, this.layout.clipIndexes(axis)])) };
+    }
+
+    clipChanged() {
+        this.boxVisuals.forEach(visual => this.layoutBoxVisual(visual));
+        this.updateClipVisual();
+        this.updateSlice();
+        this.updateInspection();
+    }
+
+    // Called after anything that may move the clipping box (e.g., the axes changing)
+    updateClipVisual() {
+        const clipping = this.getClipping();
+        this.clipVisual.visible = clipping.enabled && this.boxes.length > 0;
+        if (this.clipVisual.visible) {
+            const [outline, ...handles] = this.clipVisual.children;
+            const { min, max } = outline.box;
+            AXES.forEach(axis => [min[axis], max[axis]] = this.layout.isFlat(axis) ? [0, this.layout.axisLength(axis)] :
+                clipping.ranges[axis].map(index => this.layout.positions[axis][index]));
+            handles.forEach(handle => {
+                const { axis, side } = handle.userData.clipHandle;
+                handle.visible = !this.layout.isFlat(axis); // a flat axis isn't clipped
+                outline.box.getCenter(handle.position);
+                handle.position[axis] = (side === 'min' ? min : max)[axis];
+            });
+        }
+        this.dispatch('clip', clipping);
+    }
+
+    // --- Search ---
+    // Searches for boxes by value and by predicates on their bounds (see the Search section of layout.js), where the
+    // search is { text, regex, predicates }, and an empty one ends the search. Matches are highlighted: every other box
+    // is dimmed, and only matches get labels. An invalid regular expression throws a SyntaxError.
+    setSearch(search) {
+        this.search = compileSearch(search);
+        this.updateValueColors();
+        this.updateSlice();
+    }
+
+    // The boxes shown (ignoring the slice) that match the search
+    searchMatches() {
+        return this.search ? this.boxes.filter(boxData => this.isShown(boxData) && this.layout.isSearchMatch(boxData, this.search)) : [];
+    }
+
+    // Moves the camera smoothly to frame the box, looking from the same direction
+    flyTo(boxData) { this.flyToBounds(this.boxDisplayBounds(boxData)); }
+
+    // Like flyTo, for a region of slots (see diagnostics.js)
+    flyToRegion(region) {
+        const { min, max } = this.layout.slotRegionDisplayBounds(region);
+        this.flyToBounds(new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max)));
+    }
+
+    flyToBounds(box3) {
+        const { camera, controls } = this;
+        const target = box3.getCenter(new THREE.Vector3());
+        const halfHeight = Math.max(box3.getSize(new THREE.Vector3()).length(), MIN_FLIGHT_FRAME) * FLIGHT_FRAME_SIZE / 2;
+        const distance = halfHeight / Math.tan(THREE.MathUtils.degToRad(this.cameras.perspective.fov) / 2);
+        const position = target.clone().add(camera.position.clone().sub(controls.target).setLength(distance));
+        const zoom = camera.isOrthographicCamera ? camera.top / halfHeight : 1;
+        this.flight = {
+            from: { position: camera.position.clone(), target: controls.target.clone(), zoom: camera.zoom },
+            to: { position, target, zoom }, startTime: performance.now()
+        };
+    }
+
+    updateFlight(now) {
+        const { from, to, startTime } = this.flight, { camera, controls } = this;
+        const progress = Math.min(1, (now - startTime) / FLIGHT_DURATION_MS), eased = progress * progress * (3 - 2 * progress);
+        camera.position.lerpVectors(from.position, to.position, eased);
+        controls.target.lerpVectors(from.target, to.target, eased);
+        camera.zoom = THREE.MathUtils.lerp(from.zoom, to.zoom, eased);
+        camera.updateProjectionMatrix();
+        controls.update();
+        if (progress >= 1) { this.flight = null; this.cameraChanged(); }
+    }
+
+    // --- Diagnostics ---
+    // Looks for problems among the boxes of the data that pass the filters (see diagnostics.js), leaving out the boxes
+    // before the change when comparing, and shades each problem found in the color of its kind: the region where two
+    // boxes overlap, a gap, or the box two compressible neighbors would be merged into.
+    setDiagnostics(enabled) {
+        this.diagnostics.enabled = enabled;
+        this.updateDiagnostics();
+    }
+
+    // Called after anything that may change the problems or where they are drawn: the boxes, the axes, or the filters
+    updateDiagnostics() {
+        const { enabled } = this.diagnostics, batch = this.diagnosticsBatch;
+        batch.layer = this.comparisonView === 'side' ? AFTER_LAYER : 0; // side by side, only on the side of the data
+        [batch.fills, batch.edges].forEach(object => object.layers.set(batch.layer));
+        const report = enabled ? diagnose(this.boxes.filter(boxData => boxData.side !== 'before' && this.layout.isFilteredIn(boxData)), this.layout) : null;
+        const entries = !report ? [] : Object.entries(DIAGNOSTIC_COLORS).flatMap(([kind, color]) => report[kind].problems.map(({ region }) => {
+            const { min, max, minOpen, maxOpen } = this.layout.slotRegionDisplayBounds(region);
+            const visual = { color: new THREE.Color(color), displayOpen: { minOpen, maxOpen }, batchEntry: null }; // drawn like a box visual
+            return { visual, box3: new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max)), flatAxisIndex: -1, layer: batch.layer };
+        }));
+        fillBatch(batch, entries);
+        this.diagnostics.report = report;
+        this.dispatch('diagnostics', { enabled, report });
+    }
+
+    // --- Inspection ---
+    // Hovering over a box fires 'hover', and clicking it selects it. When the slice is shown as a 2D projection, the
+    // projected rectangles are inspected instead of the (hidden) boxes.
+
+    // The box under the mouse (undefined if none)
+    pickBox(event) {
+        this.setRaycasterFromEvent(event);
+        const hit = this.raycaster.intersectObjects(this.shownBatches().map(batch => batch.fills), false)[0];
+        return hit?.object.userData.batch.entries[hit.instanceId].visual.boxData;
+    }
+
+    hover(event) {
+        const boxData = event ? this.pickBox(event) ?? null : null;
+        this.dispatch('hover', { boxData, clientX: event?.clientX, clientY: event?.clientY });
+    }
+
+    // A click (rather than the end of a drag) selects the box under the mouse, or with shift, moves the probe into it
+    onClick(event) {
+        const { mouseDownAt } = this;
+        if (!mouseDownAt || Math.hypot(event.clientX - mouseDownAt.x, event.clientY - mouseDownAt.y) > CLICK_TOLERANCE_PX) return;
+        const boxData = this.pickBox(event);
+        if (event.shiftKey) { if (boxData) this.moveProbeInto(boxData); }
+        else this.select(boxData ?? null);
+    }
+
+    // Selects the box (or nothing, if null), which is outlined
+    select(boxData) {
+        this.selectedKey = boxData ? keyOfBox(boxData) : null;
+        this.updateInspection();
+    }
+
+    get selectedBox() { return this.selectedKey === null ? null : this.boxVisualsByKey.get(this.selectedKey)?.boxData ?? null; }
+
+    // Called after anything that may change the selected box (which may have been updated or deleted) or the probe
+    updateInspection() {
+        const boxData = this.selectedBox;
+        if (!boxData) this.selectedKey = null;
+        this.selectionHelper.visible = !!boxData;
+        if (boxData) this.selectionHelper.box.copy(this.boxDisplayBounds(boxData)).expandByScalar(VISUAL_GRID_SPACING * 0.02);
+        this.dispatch('select', { boxData });
+        this.updateProbe();
+    }
+
+    // --- Point Probe ---
+    // The probe is a point in the domain, in a slot on each axis (see the Slots section of layout.js), with the filter
+    // points in the dimensions that aren't displayed. It finds every box valid at that point, like getAt.
+
+    // Turns the probe on or off, and moves it to the slots (on any of the axes)
+    setProbe({ enabled = this.probe.enabled, slots = {} } = {}) {
+        this.probe.enabled = enabled;
+        Object.assign(this.probe.slots, slots);
+        this.updateProbe();
+    }
+
+    // Puts the probe in a slot inside the box: at its boundary if the box is flat on an axis, and just after its min otherwise
+    moveProbeInto(boxData) {
+        AXES.forEach((axis, a) => {
+            const minIndex = boundaryIndex(this.layout.boundaries[axis], boxData.minBounds[a]);
+            this.probe.slots[axis] = boxData.minBounds[a] === boxData.maxBounds[a] ? 2 * minIndex : 2 * minIndex + 1;
+        });
+        this.setProbe({ enabled: true });
+    }
+
+    updateProbe() {
+        const { enabled, slots } = this.probe;
+        const shown = enabled && this.boxes.length > 0;
+        this.probeVisual.visible = shown;
+        let pointSlots = null, boxes = [];
+        if (shown) {
+            AXES.forEach(axis => {
+                const maxSlot = 2 * (this.layout.boundaries[axis].length - 1);
+                slots[axis] = Math.max(0, Math.min(maxSlot, slots[axis]));
+                this.probeVisual.position[axis] = this.layout.slotDisplayCoord(axis, slots[axis]);
+            });
+            pointSlots = this.layout.pointSlots(slots);
+            boxes = this.boxes.filter(boxData => this.layout.containsPoint(boxData, pointSlots));
+        }
+        this.dispatch('probe', { enabled, shown, slots: { ...slots }, pointSlots, boxes });
+    }
+
+    // --- Export ---
+    // Renders once at the requested size, returning the canvas (with the labels drawn over it) as a PNG data URL, before
+    // it is resized back to the container
+    toPng(width, height) {
+        const validSize = size => Number.isInteger(size) && size >= 1 && size <= MAX_PNG_SIZE;
+        if (!validSize(width) || !validSize(height)) throw new Error(`The PNG width and height must be from 1 to ${MAX_PNG_SIZE} pixels`);
+        try {
+            this.renderer.setSize(width, height, false); // the canvas style (so the page layout) stays the same
+            this.updateCameraAspect(width, height);
+            this.render(width, height);
+            const image = document.createElement('canvas'); image.width = width; image.height = height;
+            const context = image.getContext('2d');
+            context.drawImage(this.renderer.domElement, 0, 0, width, height);
+            this.drawLabels(context, width, height);
+            return image.toDataURL('image/png');
+        } finally {
+            this.resize();
+        }
+    }
+
+    // The boxes, the axes, and the slice projection as they are shown, as binary glTF (without the labels, which are
+    // drawn over the scene)
+    toGltf() {
+        return new GLTFExporter().parseAsync([this.boxBatches.group, this.axisVisualsGroup, this.projectionBatches.group], { binary: true, onlyVisible: true });
+    }
+
+    // --- Animation Loop & Resize ---
+    animate(now) {
+        this.animationFrame = requestAnimationFrame(this.animate);
+        if (this.activeHighlights.length > 0) this.updateHighlights(now);
+        if (this.flight) this.updateFlight(now);
+        if (this.controls.enableDamping) this.controls.update();
+        this.render();
+        if (this.labelsDirty) this.updateLabels();
+    }
+
+    // Fits the renderer and the label canvas to the container
+    resize() {
+        this.width = Math.max(1, this.container.clientWidth);
+        this.height = Math.max(1, this.container.clientHeight);
+        this.updateCameraAspect();
+        this.renderer.setSize(this.width, this.height);
+        this.labelContext = prepareCanvas(this.labelCanvas, this.width, this.height);
+        this.labelsDirty = true;
+    }
+
+    updateCameraAspect(width = this.width, height = this.height) {
+        const aspect = this.viewports(width)[0].width / height;
+        const { perspective, orthographic } = this.cameras;
+        perspective.aspect = aspect; perspective.updateProjectionMatrix();
+        orthographic.bottom = -orthographic.top; orthographic.left = -orthographic.top * aspect; orthographic.right = orthographic.top * aspect;
+        orthographic.updateProjectionMatrix();
+    }
+}
+
+// --- Box Batches ---
+// Objects for every box don't scale to tens of thousands of boxes, so the boxes shown are drawn in batches: their fills
+// as one instanced mesh of a unit cube (scaled and colored for each box), and their edges as one set of line segments
+// with a color for each vertex. Solid edges fill the edge buffers from the start, and dashed ones (on open faces) from
+// the end, so each kind is drawn in one go with its own material. Side by side, there is a batch for each comparison
+// layer. Whenever the boxes shown change, the batches are refilled (see showVisuals).
+const INITIAL_BATCH_CAPACITY = 64; // boxes, doubled as needed
+const EDGE_VERTICES = 24; // two for each of the twelve edges
+const MIN_FILL_SIZE = new THREE.Vector3(0.01, 0.01, 0.01); // keeps the fill of a flat box (e.g., a point) from collapsing completely
+// Each of the twelve edges of a box, as the axis it runs along and the bits of its min corner (set for each axis at its max)
+const BOX_EDGES = [0, 1, 2, 3, 4, 5, 6, 7].flatMap(bits => [0, 1, 2].filter(a => !(bits & (1 << a))).map(a => ({ a, bits })));
+const batchMatrix = new THREE.Matrix4(), batchPosition = new THREE.Vector3(), batchScale = new THREE.Vector3(), batchRotation = new THREE.Quaternion(); // reused
+
+// A batch for each comparison layer, all in one group
+function createBatchSet(createFillMaterial) {
+    const group = new THREE.Group();
+    const batches = [0, BEFORE_LAYER, AFTER_LAYER].map(layer => createBoxBatch(createFillMaterial(), layer, INITIAL_BATCH_CAPACITY));
+    batches.forEach(batch => group.add(batch.group));
+    return { group, batches };
+}
+
+function createBoxBatch(fillMaterial, layer, capacity) {
+    const edgeMaterials = [
+        new THREE.LineBasicMaterial({ vertexColors: true }),
+        new THREE.LineDashedMaterial({ vertexColors: true, dashSize: OPEN_EDGE_DASH_SIZE, gapSize: OPEN_EDGE_GAP_SIZE })
+    ];
+    const batch = { group: new THREE.Group(), layer, fillMaterial, edgeMaterials, capacity: 0, entries: [], fills: null, edges: null };
+    allocateBatch(batch, capacity);
+    return batch;
+}
+
+// Replaces the objects of the batch with ones that have room for the given number of boxes
+function allocateBatch(batch, capacity) {
+    if (batch.fills) {
+        batch.group.remove(batch.fills, batch.edges);
+        batch.fills.dispose(); batch.fills.geometry.dispose(); batch.edges.geometry.dispose(); // the materials are kept
+    }
+    const fills = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), batch.fillMaterial, capacity);
+    fills.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    fills.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage);
+    const geometry = new THREE.BufferGeometry();
+    const vertexCount = capacity * EDGE_VERTICES;
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('lineDistance', new THREE.BufferAttribute(new Float32Array(vertexCount), 1).setUsage(THREE.DynamicDrawUsage));
+    const edges = new THREE.LineSegments(geometry, batch.edgeMaterials);
+    [fills, edges].forEach(object => { object.layers.set(batch.layer); object.userData.batch = batch; batch.group.add(object); });
+    Object.assign(batch, { fills, edges, capacity });
+}
+
+// Draws the entries in the batch, in place of what it drew before. Each entry ({ visual, box3, flatAxisIndex, layer })
+// is a box visual drawn as box3, which is flat on the axis with flatAxisIndex (if not -1), where it is drawn as the
+// rectangle of its min face. Filling the batch adds where each entry is drawn to the entry (see setEdgesColor).
+function fillBatch(batch, entries) {
+    batch.entries.forEach(entry => { if (entry.visual.batchEntry === entry) entry.visual.batchEntry = null; });
+    if (entries.length > batch.capacity) {
+        let capacity = batch.capacity;
+        while (capacity < entries.length) capacity *= 2;
+        allocateBatch(batch, capacity);
+    }
+    const { fills, edges } = batch;
+    const positions = edges.geometry.attributes.position.array, colors = edges.geometry.attributes.color.array;
+    const distances = edges.geometry.attributes.lineDistance.array;
+    const vertexCount = batch.capacity * EDGE_VERTICES;
+    let solidEnd = 0, dashedStart = vertexCount;
+    const writeEdge = (vertex, { box3, visual }, { a, bits }) => {
+        const { min, max } = box3;
+        [bits, bits | (1 << a)].forEach((corner, end) => {
+            const offset = 3 * (vertex + end);
+            positions[offset] = corner & 1 ? max.x : min.x;
+            positions[offset + 1] = corner & 2 ? max.y : min.y;
+            positions[offset + 2] = corner & 4 ? max.z : min.z;
+            visual.color.toArray(colors, offset);
+        });
+        distances[vertex] = 0; distances[vertex + 1] = max.getComponent(a) - min.getComponent(a); // for the dashes
+    };
+    entries.forEach((entry, index) => {
+        const { box3, visual, flatAxisIndex } = entry;
+        box3.getCenter(batchPosition); box3.getSize(batchScale).max(MIN_FILL_SIZE);
+        fills.setMatrixAt(index, batchMatrix.compose(batchPosition, batchRotation, batchScale));
+        fills.setColorAt(index, visual.color);
+        const { minOpen, maxOpen } = visual.displayOpen;
+        Object.assign(entry, { batch, index, solidStart: solidEnd, dashedEnd: dashedStart });
+        BOX_EDGES.forEach(edge => {
+            if (flatAxisIndex >= 0 && (edge.a === flatAxisIndex || edge.bits & (1 << flatAxisIndex))) return;
+            const onOpenFace = [0, 1, 2].some(o => o !== edge.a && o !== flatAxisIndex && (edge.bits & (1 << o) ? maxOpen : minOpen)[o]);
+            if (onOpenFace) { dashedStart -= 2; writeEdge(dashedStart, entry, edge); }
+            else { writeEdge(solidEnd, entry, edge); solidEnd += 2; }
+        });
+        Object.assign(entry, { solidEnd, dashedStart });
+        visual.batchEntry = entry;
+    });
+    batch.entries = entries;
+    fills.count = entries.length;
+    fills.boundingSphere = null; // recomputed when needed (e.g., for raycasting)
+    updateRanges(fills.instanceMatrix, [[0, entries.length * 16]]);
+    updateRanges(fills.instanceColor, [[0, entries.length * 3]]);
+    edges.geometry.clearGroups();
+    edges.geometry.addGroup(0, solidEnd, 0);
+    edges.geometry.addGroup(dashedStart, vertexCount - dashedStart, 1);
+    edges.geometry.boundingSphere = null;
+    ['position', 'color', 'lineDistance'].forEach(name => {
+        const attribute = edges.geometry.attributes[name];
+        updateRanges(attribute, [[0, solidEnd * attribute.itemSize], [dashedStart * attribute.itemSize, (vertexCount - dashedStart) * attribute.itemSize]]);
+    });
+    fills.visible = edges.visible = entries.length > 0;
+}
+
+// Only the parts of the buffers in use are uploaded again, rather than the whole capacity
+function updateRanges(attribute, ranges) {
+    attribute.clearUpdateRanges();
+    ranges.forEach(([start, count]) => attribute.addUpdateRange(start, count));
+    attribute.needsUpdate = true;
+}
+
+// Fills each batch of the set with the entries on its layer
+function fillBatchSet({ batches }, entries) {
+    batches.forEach(batch => fillBatch(batch, entries.filter(entry => entry.layer === batch.layer)));
+}
+
+// Recolors the edges of the box where it is drawn (if it is)
+function setEdgesColor(visual, color) {
+    const entry = visual.batchEntry;
+    if (!entry) return;
+    const colors = entry.batch.edges.geometry.attributes.color;
+    const ranges = [[entry.solidStart, entry.solidEnd], [entry.dashedStart, entry.dashedEnd]];
+    ranges.forEach(([start, end]) => { for (let vertex = start; vertex < end; vertex++) colors.setXYZ(vertex, color.r, color.g, color.b); });
+    ranges.forEach(([start, end]) => colors.addUpdateRange(3 * start, 3 * (end - start)));
+    colors.needsUpdate = true;
+}
+
+function fadingMaterials(batch) { return [batch.fillMaterial, ...batch.edgeMaterials]; }
+
+// Removes every child of the group, disposing of their geometries, materials, and textures
+function disposeChildren(group) {
+    while (group.children.length > 0) {
+        const child = group.children[0];
+        group.remove(child);
+        child.traverse(object => {
+            if (object.isInstancedMesh) object.dispose(); // its instance attributes
+            if (object.geometry) object.geometry.dispose();
+            [object.material ?? []].flat().forEach(material => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        });
+    }
+}
+
+function createProbeVisual() {
+    const group = new THREE.Group(); group.name = "Probe";
+    const size = VISUAL_GRID_SPACING * 0.4;
+    const material = new THREE.LineBasicMaterial({ color: PROBE_COLOR, depthTest: false });
+    const crossPoints = AXES.flatMap(axis => {
+        const from = new THREE.Vector3(), to = new THREE.Vector3();
+        from[axis] = -size; to[axis] = size;
+        return [from, to];
+    });
+    group.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(crossPoints), material));
+    group.add(new THREE.Mesh(new THREE.SphereGeometry(VISUAL_GRID_SPACING * 0.05, 16, 8), new THREE.MeshBasicMaterial({ color: PROBE_COLOR, depthTest: false })));
+    group.children.forEach(child => child.renderOrder = 3); // drawn over the boxes it is inside of
+    return group;
+}
+
+// The outline of the clipping box, and a handle on each face (labeled with its axis and side) to drag it by
+function createClipVisual() {
+    const group = new THREE.Group(); group.name = "ClipBox";
+    group.add(new THREE.Box3Helper(new THREE.Box3(), CLIP_COLOR));
+    const handleGeometry = new THREE.SphereGeometry(VISUAL_GRID_SPACING * 0.1, 16, 8);
+    const handleMaterial = new THREE.MeshBasicMaterial({ color: CLIP_COLOR, depthTest: false });
+    AXES.forEach(axis => ['min', 'max'].forEach(side => {
+        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+        handle.userData.clipHandle = { axis, side };
+        group.add(handle);
+    }));
+    group.children.forEach(child => child.renderOrder = 3); // drawn over the boxes
+    return group;
+}
+
+// --- Labels ---
+const LABEL_MIN_BOX_PX = 40; // how big a box must be on screen (across its diagonal) to get a label
+const MAX_LABELS = 300; // in each viewport
+const LABEL_CELL_PX = 8; // the screen is divided into cells, and labels overlap when they take up the same cell
+const LABEL_LINE_HEIGHT = 1.2; // times the font size
+const TICK_LABEL_GAP_PX = 6; // between neighboring tick labels
+const TICK_LABEL_SLANT = Math.PI / 4;
+const labelPosition = new THREE.Vector3(), labelSize = new THREE.Vector3(); // reused
+const planeIntersectPoint = new THREE.Vector3(); // reused while dragging the slice plane
+
+// A label with its (non-blank) lines of text, which is drawn centered on the position
+function textLabel(lines, position, fontSize, color, { bold = false, background = null } = {}) {
+    const shownLines = lines.filter(line => line !== null && line !== undefined && String(line).trim() !== "").map(line => String(line).trim());
+    return { lines: shownLines, position, fontSize, color, bold, background };
+}
+
+// Draws the label centered at the screen point, unless it would overlap a label already drawn or the edge of the
+// viewport, returning whether it was drawn. A slanted label (at an angle in radians, clockwise) is one line of text
+// hanging off the point: it ends there when it rises to the right, and starts there when it falls to the right.
+function drawLabel(context, label, at, viewport, occupied, angle = 0) {
+    const { lines, fontSize, color, background } = label;
+    const padding = background ? fontSize * 0.3 : 0, lineHeight = fontSize * LABEL_LINE_HEIGHT;
+    const width = labelWidth(context, label) + 2 * padding;
+    const height = lines.length * lineHeight + 2 * padding;
+    const left = at.x - width / 2, top = at.y - height / 2;
+    const { cells, minX, maxX } = angle === 0 ? rectangleCells(left, top, width, height) : slantedCells(at, width, height, angle);
+    if (minX < viewport.left || maxX > viewport.left + viewport.width) return false;
+    if (cells.some(cell => occupied.has(cell))) return false;
+    cells.forEach(cell => occupied.add(cell));
+    if (background) {
+        context.fillStyle = background;
+        context.beginPath(); context.roundRect(left, top, width, height, fontSize / 2.5); context.fill();
+    }
+    context.fillStyle = color; context.textBaseline = 'middle';
+    if (angle !== 0) {
+        context.save();
+        context.translate(at.x, at.y); context.rotate(angle);
+        context.textAlign = angle < 0 ? 'right' : 'left';
+        context.fillText(lines[0], 0, 0);
+        context.restore();
+        return true;
+    }
+    context.textAlign = 'center';
+    lines.forEach((line, index) => context.fillText(line, at.x, top + padding + (index + 0.5) * lineHeight));
+    return true;
+}
+
+// The width of the widest line of the label, leaving the context's font set for drawing it
+function labelWidth(context, { lines, fontSize, bold }) {
+    context.font = `${bold ? 'bold ' : ''}${fontSize}px Arial`;
+    return Math.max(0, ...lines.map(line => context.measureText(line).width));
+}
+
+// The cells a label takes up, and how far it reaches to the left and right
+function rectangleCells(left, top, width, height) {
+    const cells = [];
+    for (let column = Math.floor(left / LABEL_CELL_PX); column <= Math.floor((left + width) / LABEL_CELL_PX); column++) {
+        for (let row = Math.floor(top / LABEL_CELL_PX); row <= Math.floor((top + height) / LABEL_CELL_PX); row++) cells.push(`${column},${row}`);
+    }
+    return { cells, minX: left, maxX: left + width };
+}
+
+// A slanted label is sampled along the middle of its line (so slanted neighbors a line apart don't share cells)
+function slantedCells(at, width, height, angle) {
+    const cos = Math.cos(angle), sin = Math.sin(angle), direction = angle < 0 ? -1 : 1;
+    const cells = new Set();
+    let minX = at.x, maxX = at.x;
+    for (let along = 0; along < width + LABEL_CELL_PX / 2; along += LABEL_CELL_PX / 2) {
+        const x = at.x + direction * Math.min(along, width) * cos, y = at.y + direction * Math.min(along, width) * sin;
+        cells.add(`${Math.floor(x / LABEL_CELL_PX)},${Math.floor(y / LABEL_CELL_PX)}`);
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+    }
+    return { cells: [...cells], minX, maxX };
+}
+
+// Tick labels are drawn level, unless they don't fit at the average spacing along the axis (running across the screen
+// in the direction, a unit vector), and slanting them would keep more of them apart. Labels at the same angle keep
+// apart when they are a label length apart along their text, or a line apart across it. Returns the angle, and the
+// spacing the labels need along the axis.
+function tickLabelLayout(direction, width, height, averageSpacing) {
+    const spacing = angle => TICK_LABEL_GAP_PX + Math.min(width / Math.abs(Math.cos(angle) * direction.x + Math.sin(angle) * direction.y),
+        height / Math.abs(Math.cos(angle) * direction.y - Math.sin(angle) * direction.x));
+    const level = { angle: 0, spacing: spacing(0) };
+    if (level.spacing <= averageSpacing) return level;
+    return [-TICK_LABEL_SLANT, TICK_LABEL_SLANT].map(angle => ({ angle, spacing: spacing(angle) }))
+        .reduce((best, slanted) => slanted.spacing < best.spacing ? slanted : best, level);
+}
+
+// Sizes the canvas for the drawing (in CSS pixels, kept sharp on high density displays), returning its 2D context
+export function prepareCanvas(canvas, width, height) {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.ceil(width * ratio); canvas.height = Math.ceil(height * ratio);
+    canvas.style.width = `${width}px`; canvas.style.height = `${height}px`;
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return context;
+}